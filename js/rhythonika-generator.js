@@ -0,0 +1,117 @@
+// js/rhythonika-generator.js
+// Tonika module: RhythonikaGenerator (grid patterns from parameters, no DOM)
+// Euclidean rhythms, Afro-Cuban clave and bell timelines, and their rotations. Output is an
+// ordinary grid pattern, so the transport plays it and the library saves it like any other.
+
+class RhythonikaGenerator {
+    // Timelines as onset positions within `steps` pulses. timeSignature is the meter they
+    // are usually counted in; the widget offers to switch to it.
+    static families = {
+        "son-32":      { name: "Son clave 3-2",      family: "Clave", steps: 16, onsets: [0, 3, 6, 10, 12],         timeSignature: "4/4" },
+        "son-23":      { name: "Son clave 2-3",      family: "Clave", steps: 16, onsets: [2, 4, 8, 11, 14],         timeSignature: "4/4" },
+        "rumba-32":    { name: "Rumba clave 3-2",    family: "Clave", steps: 16, onsets: [0, 3, 7, 10, 12],         timeSignature: "4/4" },
+        "rumba-23":    { name: "Rumba clave 2-3",    family: "Clave", steps: 16, onsets: [2, 4, 8, 11, 15],         timeSignature: "4/4" },
+        "bossa":       { name: "Bossa nova clave",   family: "Clave", steps: 16, onsets: [0, 3, 6, 10, 13],         timeSignature: "4/4" },
+        "tresillo":    { name: "Tresillo",           family: "Clave", steps: 8,  onsets: [0, 3, 6],                 timeSignature: "4/4" },
+        "cinquillo":   { name: "Cinquillo",          family: "Clave", steps: 8,  onsets: [0, 2, 3, 5, 6],           timeSignature: "4/4" },
+        "bell-7":      { name: "Standard bell (7)",  family: "Bell",  steps: 12, onsets: [0, 2, 4, 5, 7, 9, 11],    timeSignature: "12/8" },
+        "bell-5":      { name: "Short bell (5)",     family: "Bell",  steps: 12, onsets: [0, 2, 4, 7, 9],           timeSignature: "12/8" },
+        "gahu":        { name: "Gahu bell",          family: "Bell",  steps: 16, onsets: [0, 3, 6, 10, 14],         timeSignature: "4/4" }
+    };
+
+    // Bjorklund's algorithm: k onsets spread as evenly as possible over n steps, e.g.
+    // E(3,8) = x..x..x. Returns booleans, rotated so `rotation` is the first step.
+    static euclid(k, n, rotation = 0) {
+        k = Math.max(0, Math.min(n, k));
+        let heads = Array.from({ length: k }, () => [true]);
+        let tails = Array.from({ length: n - k }, () => [false]);
+        while (tails.length > 1 && heads.length) {
+            const m = Math.min(heads.length, tails.length);
+            const rest = heads.length > m ? heads.slice(m) : tails.slice(m);
+            heads = heads.slice(0, m).map((group, i) => group.concat(tails[i]));
+            tails = rest;
+        }
+        return RhythonikaGenerator.rotate(heads.concat(tails).flat(), rotation);
+    }
+
+    static family(key, rotation = 0) {
+        const fam = RhythonikaGenerator.families[key];
+        if (!fam) throw new Error(`unknown timeline "${key}"`);
+        const hits = Array.from({ length: fam.steps }, (_, i) => fam.onsets.includes(i));
+        return RhythonikaGenerator.rotate(hits, rotation);
+    }
+
+    // Start the cycle `r` steps later (negative r starts earlier)
+    static rotate(hits, r) {
+        const n = hits.length;
+        if (!n) return [];
+        const shift = ((r % n) + n) % n;
+        return hits.slice(shift).concat(hits.slice(0, shift));
+    }
+
+    // Rotations that give a different pattern: the members of the rhythm's necklace.
+    // E(4,8) has 2, a clave 16.
+    static rotations(hits) {
+        const seen = new Set();
+        const out = [];
+        hits.forEach((_, r) => {
+            const key = RhythonikaGenerator.toText(RhythonikaGenerator.rotate(hits, r));
+            if (seen.has(key)) return;
+            seen.add(key);
+            out.push(r);
+        });
+        return out;
+    }
+
+    static toText(hits) {
+        return hits.map((hit) => (hit ? "x" : ".")).join("");
+    }
+
+    // settings: { type: "euclid", hits, steps, rotation } or { type: "family", family, rotation },
+    // plus fill ("rest" or "pulse": ghost notes between the hits) and evolve (null or
+    // { everyBars, seed, moves }). Returns { pattern, hits, label, timeSignature }.
+    static generate(settings) {
+        const s = settings || {};
+        let hits;
+        let label;
+        let timeSignature = null;
+
+        if (s.type === "family") {
+            const fam = RhythonikaGenerator.families[s.family];
+            if (!fam) throw new Error(`unknown timeline "${s.family}"`);
+            hits = RhythonikaGenerator.family(s.family, s.rotation || 0);
+            label = fam.name;
+            timeSignature = fam.timeSignature;
+        } else {
+            const steps = Math.round(Number(s.steps));
+            const k = Math.round(Number(s.hits));
+            if (!(steps >= 1 && steps <= 32)) throw new Error("steps must be 1–32");
+            if (!(k >= 0 && k <= steps)) throw new Error(`hits must be 0–${steps}`);
+            hits = RhythonikaGenerator.euclid(k, steps, s.rotation || 0);
+            label = `E(${k},${steps})`;
+        }
+
+        const r = ((Math.round(s.rotation || 0) % hits.length) + hits.length) % hits.length;
+        if (r) label += ` r${r}`;
+
+        // Hits sound on the accent voice; between them a quiet pulse or nothing
+        const pattern = {
+            name: `Generated: ${label}`,
+            kind: "grid",
+            slotsPerBar: hits.length,
+            accents: hits.map((hit) => (hit ? 1 : (s.fill === "pulse" ? 2 : 3)))
+        };
+        if (s.evolve) pattern.evolve = Object.assign({ everyBars: 4, seed: 1, moves: 1 }, s.evolve);
+
+        return { pattern, hits, label, timeSignature };
+    }
+}
+
+// Attach to a Tonika registry on window for classic scripts, export for Node
+if (typeof window !== "undefined") {
+    window.TonikaModules = window.TonikaModules || {};
+    window.TonikaModules.RhythonikaGenerator = RhythonikaGenerator;
+}
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = RhythonikaGenerator;
+}
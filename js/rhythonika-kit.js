@@ -0,0 +1,181 @@
+// js/rhythonika-kit.js
+// Tonika module: RhythonikaKit (sample kits from samples/sample-index.json)
+// A sound sink for RhythonikaTransport: built-in sound names ("kick", "snare", ...) go to the
+// Soundonika engine, sample paths ("percussion/<kit>/<file>.wav") play from decoded buffers.
+// A sample that is missing or fails to decode falls back to a click for that sound only.
+
+class RhythonikaKit {
+    constructor(opts = {}) {
+        this.basePath = opts.basePath || './samples';
+        this.context = null;
+        this.engine = null;
+        this.output = null;            // gain node the sample voices play through
+        this.volume = 0.7;
+
+        this.index = null;             // parsed sample-index.json: { category: { kit: [file, ...] } }
+        this._indexPromise = null;
+        this.buffers = new Map();      // path → AudioBuffer
+        this.failed = new Map();       // path → reason
+        this._loading = new Map();     // path → Promise
+    }
+
+    // Built-in names carry no path separator; anything else is a sample path
+    static isSample(sound) {
+        return typeof sound === "string" && sound.includes("/");
+    }
+
+    // "percussion/DopeDrumsVol5/DD5_Kick_01.wav" → "DD5_Kick_01"
+    static sampleName(sound) {
+        return String(sound).split("/").pop().replace(/\.[a-z0-9]+$/i, "");
+    }
+
+    // Wire (or re-wire) to an audio context and its Soundonika engine
+    setContext(context, engine) {
+        this.context = context;
+        this.engine = engine;
+        this.output = context.createGain();
+        this.output.gain.value = this.volume;
+        this.output.connect(context.destination);
+        // Buffers decode per context; failures are retried on the new one
+        this.failed.clear();
+        this._loading.clear();
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.output) this.output.gain.value = volume;
+        if (this.engine) this.engine.setVolume(volume);
+    }
+
+    // ---------- Index ----------
+    // Fetched once; resolves to null when there is no index
+    loadIndex() {
+        if (!this._indexPromise) {
+            this._indexPromise = fetch(`${this.basePath}/sample-index.json`)
+                .then((response) => (response.ok ? response.json() : null))
+                .catch(() => null)
+                .then((index) => {
+                    this.index = index && typeof index === "object" ? index : null;
+                    return this.index;
+                });
+        }
+        return this._indexPromise;
+    }
+
+    // [{ id: "percussion/DopeDrumsVol5", category, name, samples: [{ path, name }] }]
+    kits() {
+        if (!this.index) return [];
+        const kits = [];
+        Object.entries(this.index).forEach(([category, group]) => {
+            if (!group || typeof group !== "object") return;
+            Object.entries(group).forEach(([name, files]) => {
+                if (!Array.isArray(files) || !files.length) return;
+                kits.push({
+                    id: `${category}/${name}`,
+                    category,
+                    name,
+                    samples: files.map((file) => {
+                        const path = `${category}/${name}/${file}`;
+                        return { path, name: RhythonikaKit.sampleName(path) };
+                    })
+                });
+            });
+        });
+        return kits;
+    }
+
+    // ---------- Buffers ----------
+    // Resolves to the buffer, or null once the sample has failed (the reason is in `failed`)
+    load(path) {
+        if (!RhythonikaKit.isSample(path) || !this.context) return Promise.resolve(null);
+        if (this.buffers.has(path)) return Promise.resolve(this.buffers.get(path));
+        if (this.failed.has(path)) return Promise.resolve(null);
+        if (this._loading.has(path)) return this._loading.get(path);
+
+        const url = `${this.basePath}/${path.split("/").map(encodeURIComponent).join("/")}`;
+        const promise = fetch(url)
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then((data) => this.context.decodeAudioData(data))
+            .then((buffer) => {
+                this.buffers.set(path, buffer);
+                return buffer;
+            })
+            .catch((error) => {
+                console.warn(`RhythonikaKit: "${path}" unavailable, using a click instead:`, error);
+                this.failed.set(path, error.message || String(error));
+                return null;
+            })
+            .finally(() => this._loading.delete(path));
+
+        this._loading.set(path, promise);
+        return promise;
+    }
+
+    preload(sounds) {
+        return Promise.all([...new Set(sounds)].map((sound) => this.load(sound)));
+    }
+
+    // "engine" (built-in), "ready", "loading" or "failed"
+    status(sound) {
+        if (!RhythonikaKit.isSample(sound)) return "engine";
+        if (this.buffers.has(sound)) return "ready";
+        if (this.failed.has(sound)) return "failed";
+        return "loading";
+    }
+
+    // ---------- Sink ----------
+    scheduleSound(time, sound, velocity) {
+        if (!RhythonikaKit.isSample(sound)) {
+            this.engine.scheduleSound(time, sound, velocity);
+            return;
+        }
+
+        const buffer = this.buffers.get(sound);
+        if (!buffer) {
+            // Not loaded (yet): keep time with a click rather than drop the hit
+            if (!this.failed.has(sound)) this.load(sound);
+            this._click(time, velocity);
+            return;
+        }
+
+        const src = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        src.buffer = buffer;
+        gain.gain.value = velocity;
+        src.connect(gain);
+        gain.connect(this.output);
+        src.start(time);
+    }
+
+    // Short decaying blip; higher for strong hits so accents still read
+    _click(time, velocity) {
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+        osc.type = "square";
+        osc.frequency.setValueAtTime(velocity >= 0.9 ? 1600 : 1000, time);
+        gain.gain.setValueAtTime(Math.max(0.0001, velocity * 0.5), time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.03);
+        osc.connect(gain);
+        gain.connect(this.output);
+        osc.start(time);
+        osc.stop(time + 0.04);
+    }
+
+    // Play one sound now, e.g. to audition a mapping
+    audition(sound, velocity = 1.0) {
+        if (!this.context) return Promise.resolve();
+        return this.load(sound).then(() => this.scheduleSound(this.context.currentTime + 0.01, sound, velocity));
+    }
+}
+
+// Attach to a Tonika registry on window for classic scripts, export for Node
+if (typeof window !== "undefined") {
+    window.TonikaModules = window.TonikaModules || {};
+    window.TonikaModules.RhythonikaKit = RhythonikaKit;
+}
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = RhythonikaKit;
+}
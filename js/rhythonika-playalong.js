@@ -0,0 +1,112 @@
+// js/rhythonika-playalong.js
+// Tonika module: RhythonikaPlayAlong (timing accuracy grading, no DOM)
+// Feed it the notes the transport schedules and the player's taps, both on the same clock
+// (seconds); it matches each tap to the nearest note and keeps per-slot statistics.
+
+class RhythonikaPlayAlong {
+    constructor(opts = {}) {
+        this.window = opts.window ?? 0.15;   // seconds either side of a note that still count as a hit
+        this.reset();
+    }
+
+    // Start a new session; `info` is carried into the summary (pattern, bpm, ...)
+    reset(info = {}) {
+        this.info = info;
+        this.startedAt = new Date();
+        this.notes = [];       // { time, slot, offset } (offset null until tapped)
+        this.offsets = [];     // seconds, in tap order
+        this.extras = 0;       // taps that matched no note
+    }
+
+    addNote(time, slot) {
+        this.notes.push({ time, slot, offset: null });
+    }
+
+    // Returns { offset, slot } (offset in seconds, negative = early) or null for a stray tap.
+    // Each note takes one tap: a second tap on the same note is a stray.
+    tap(time) {
+        let best = null;
+        for (let i = this.notes.length - 1; i >= 0; i--) {
+            const note = this.notes[i];
+            if (note.time < time - this.window) break;
+            if (note.offset !== null || note.time > time + this.window) continue;
+            if (!best || Math.abs(time - note.time) < Math.abs(time - best.time)) best = note;
+        }
+
+        if (!best) {
+            this.extras++;
+            return null;
+        }
+        best.offset = time - best.time;
+        this.offsets.push(best.offset);
+        return { offset: best.offset, slot: best.slot };
+    }
+
+    // Mean of the last `n` offsets (seconds): negative is rushing, positive dragging
+    trend(n = 8) {
+        return RhythonikaPlayAlong.stats(this.offsets.slice(-n)).mean;
+    }
+
+    // Notes whose window closed before `now` count as missed when untapped
+    summary(now = Infinity) {
+        const due = this.notes.filter((note) => note.offset !== null || note.time + this.window < now);
+        const bySlot = new Map();
+        due.forEach((note) => {
+            if (!bySlot.has(note.slot)) bySlot.set(note.slot, []);
+            bySlot.get(note.slot).push(note);
+        });
+
+        const ms = (s) => Math.round(s * 10000) / 10;
+        const total = RhythonikaPlayAlong.stats(this.offsets);
+        return Object.assign({}, this.info, {
+            startedAt: this.startedAt.toISOString(),
+            notes: due.length,
+            hits: this.offsets.length,
+            missed: due.filter((note) => note.offset === null).length,
+            extras: this.extras,
+            meanMs: ms(total.mean),
+            sdMs: ms(total.sd),
+            slots: [...bySlot.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([slot, notes]) => {
+                    const tapped = notes.filter((note) => note.offset !== null).map((note) => note.offset);
+                    const s = RhythonikaPlayAlong.stats(tapped);
+                    return {
+                        slot,
+                        notes: notes.length,
+                        hits: tapped.length,
+                        accuracy: Math.round((tapped.length / notes.length) * 100),
+                        meanMs: ms(s.mean),
+                        sdMs: ms(s.sd)
+                    };
+                })
+        });
+    }
+
+    // Population mean and standard deviation (0 for an empty list)
+    static stats(values) {
+        if (!values.length) return { mean: 0, sd: 0 };
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length;
+        return { mean, sd: Math.sqrt(variance) };
+    }
+
+    // One row per session, for spreadsheets and charting
+    static toCsv(sessions) {
+        const cols = ["startedAt", "durationSec", "pattern", "timeSignature", "bpm", "notes", "hits", "missed", "extras", "meanMs", "sdMs"];
+        const cell = (v) => {
+            const text = v === undefined || v === null ? "" : String(v);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [cols.join(","), ...sessions.map((s) => cols.map((c) => cell(s[c])).join(","))].join("\n") + "\n";
+    }
+}
+
+// Attach to a Tonika registry on window for classic scripts, export for Node
+if (typeof window !== "undefined") {
+    window.TonikaModules = window.TonikaModules || {};
+    window.TonikaModules.RhythonikaPlayAlong = RhythonikaPlayAlong;
+}
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = RhythonikaPlayAlong;
+}
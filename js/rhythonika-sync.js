@@ -0,0 +1,303 @@
+// js/rhythonika-sync.js
+// Tonika module: RhythonikaSync (transport sync bus, no DOM)
+// Messages go to every RhythonikaSync on the same channel: on this page directly, in other
+// tabs through BroadcastChannel, and optionally out to and in from a Web MIDI clock.
+//
+// Message: { type, source, page, at?, time?, bpm?, timeSignature?, bar?, beat? }
+//   type    "start" | "stop" | "tempo" | "meter" | "bar" | "beat"
+//   source  id of the sending RhythonikaSync ("midi" for an incoming MIDI clock)
+//   at      wall-clock ms (performance.timeOrigin based) at which it sounds; comparable across tabs
+//   time    the same moment on the sender's audio clock; only meaningful to modules sharing it
+
+class RhythonikaSync {
+    static _peers = new Map();   // channel name → Set of instances on this page
+    static page = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    static ppqn = 24;            // MIDI clock pulses per quarter note
+
+    constructor(opts = {}) {
+        this.channel = opts.channel || "tonika-sync";
+        this.id = opts.id || `${RhythonikaSync.page}:${Math.random().toString(36).slice(2, 8)}`;
+        this.mode = "off";             // "off" | "lead" | "follow"
+        this.transport = null;         // the transport being led or following
+        this._listeners = [];
+        this._release = null;          // undoes lead() / follow()
+        this.midi = null;              // see connectMidi
+
+        // Other tabs. Other instances on this page hear it too; those copies are dropped.
+        this._broadcast = null;
+        if (opts.broadcast !== false && typeof BroadcastChannel !== "undefined") {
+            this._broadcast = new BroadcastChannel(this.channel);
+            this._broadcast.onmessage = (e) => {
+                if (e.data && e.data.page !== RhythonikaSync.page) this._receive(e.data);
+            };
+        }
+
+        const peers = RhythonikaSync._peers;
+        if (!peers.has(this.channel)) peers.set(this.channel, new Set());
+        peers.get(this.channel).add(this);
+    }
+
+    // ---------- Bus ----------
+    // fn(message) for messages from everyone else; returns an unsubscribe function
+    subscribe(fn) {
+        this._listeners.push(fn);
+        return () => {
+            this._listeners = this._listeners.filter((f) => f !== fn);
+        };
+    }
+
+    publish(message) {
+        const msg = Object.assign({}, message, { source: this.id, page: RhythonikaSync.page });
+        (RhythonikaSync._peers.get(this.channel) || []).forEach((peer) => {
+            if (peer !== this) peer._receive(msg);
+        });
+        if (this._broadcast) {
+            try {
+                this._broadcast.postMessage(msg);
+            } catch (error) {
+                console.error('RhythonikaSync: broadcast failed:', error);
+            }
+        }
+        if (this.midi && this.midi.sending) this._sendMidiClock(msg);
+        return msg;
+    }
+
+    _receive(msg) {
+        if (!msg || msg.source === this.id) return;
+        this._listeners.forEach((fn) => {
+            // A broken listener must not stop the others hearing the clock
+            try {
+                fn(msg);
+            } catch (error) {
+                console.error(`RhythonikaSync: "${msg.type}" listener failed:`, error);
+            }
+        });
+    }
+
+    // Leave the bus and let go of the transport and MIDI ports
+    close() {
+        this.release();
+        this.disconnectMidi();
+        const peers = RhythonikaSync._peers.get(this.channel);
+        if (peers) peers.delete(this);
+        if (this._broadcast) this._broadcast.close();
+        this._broadcast = null;
+        this._listeners = [];
+    }
+
+    // ---------- Clock conversion ----------
+    // Wall-clock ms, the same in every tab of this browser
+    static now() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    static toWall(clock, time) {
+        return RhythonikaSync.now() + (time - clock.currentTime) * 1000;
+    }
+
+    static fromWall(clock, at) {
+        return clock.currentTime + (at - RhythonikaSync.now()) / 1000;
+    }
+
+    static quartersPerBar(ts) {
+        return ts.numerator * (4 / ts.denominator);
+    }
+
+    // ---------- Leader / follower ----------
+    // Publish the transport's start, stop, tempo, meter, bars and beats
+    lead(transport) {
+        this.release();
+        const wall = (time) => RhythonikaSync.toWall(transport.clock, time);
+        const meter = () => Object.assign({}, transport.timeSignature);
+        const offs = [
+            transport.on("start", ({ time }) => this.publish({ type: "start", at: wall(time), time, bpm: transport.bpm, timeSignature: meter() })),
+            transport.on("stop", ({ time }) => this.publish({ type: "stop", at: wall(time), time })),
+            transport.on("tempo", ({ bpm }) => this.publish({ type: "tempo", bpm })),
+            transport.on("meter", () => this.publish({ type: "meter", timeSignature: meter() })),
+            // A routine changes meter at the barline without a "meter" event, so bars carry it
+            transport.on("bar", ({ time, bar, bpm }) => this.publish({ type: "bar", at: wall(time), time, bar, bpm, timeSignature: meter() })),
+            transport.on("beat", ({ time, beat, bar }) => this.publish({ type: "beat", at: wall(time), time, beat, bar }))
+        ];
+        this.mode = "lead";
+        this.transport = transport;
+        this._release = () => offs.forEach((off) => off());
+    }
+
+    // Start, stop, tempo and meter follow the leader, and each leader bar re-aligns ours
+    // (see RhythonikaTransport.cueBar). `actions` replaces how the change is made, e.g. so a
+    // widget can update its inputs: { start(), stop(), tempo(bpm), meter(timeSignature) }.
+    follow(transport, actions = {}) {
+        this.release();
+        const act = Object.assign({
+            start: () => transport.start(),
+            stop: () => transport.stop(),
+            tempo: (bpm) => transport.setBpm(bpm),
+            meter: (ts) => transport.setTimeSignature(ts)
+        }, actions);
+        const format = (ts) => transport.constructor.formatTimeSig(ts);
+
+        const adopt = (msg) => {
+            if (msg.bpm && msg.bpm !== transport.bpm) act.tempo(msg.bpm);
+            if (msg.timeSignature && format(msg.timeSignature) !== format(transport.timeSignature)) act.meter(msg.timeSignature);
+        };
+        const cue = (msg) => {
+            if (transport.isPlaying && transport.clock && Number.isFinite(msg.at)) {
+                transport.cueBar(RhythonikaSync.fromWall(transport.clock, msg.at));
+            }
+        };
+
+        const off = this.subscribe((msg) => {
+            switch (msg.type) {
+                case "start":
+                    adopt(msg);
+                    Promise.resolve(transport.isPlaying || act.start()).then(() => cue(msg));
+                    break;
+                case "stop":
+                    if (transport.isPlaying) act.stop();
+                    break;
+                case "tempo":
+                case "meter":
+                    adopt(msg);
+                    break;
+                case "bar":
+                    adopt(msg);
+                    cue(msg);
+                    break;
+            }
+        });
+        this.mode = "follow";
+        this.transport = transport;
+        this._release = off;
+    }
+
+    // Back to "off": neither lead nor follow
+    release() {
+        if (this._release) this._release();
+        this._release = null;
+        this.mode = "off";
+        this.transport = null;
+    }
+
+    // ---------- Web MIDI clock ----------
+    // opts: { output: bool, input: bool, access?, requestMIDIAccess? }. With `output`, what
+    // this instance publishes also goes out as MIDI clock (24 PPQN, start, stop) on every
+    // output; with `input`, clock from any input arrives as ordinary messages from "midi".
+    async connectMidi(opts = {}) {
+        this.disconnectMidi();
+        let access = opts.access;
+        if (!access) {
+            const request = opts.requestMIDIAccess
+                || (typeof navigator !== "undefined" && navigator.requestMIDIAccess && navigator.requestMIDIAccess.bind(navigator));
+            if (!request) throw new Error("Web MIDI is not supported in this browser");
+            access = await request();
+        }
+
+        const midi = {
+            access,
+            sending: !!opts.output,
+            receiving: !!opts.input,
+            running: false,
+            pulses: 0,          // since start / continue
+            lastPulse: null,    // wall ms
+            intervals: [],      // recent pulse spacings (ms)
+            bpm: null,
+            listen: null
+        };
+        if (midi.receiving) {
+            const onMessage = (e) => this._onMidiClock(e);
+            midi.listen = () => access.inputs.forEach((input) => input.addEventListener("midimessage", onMessage));
+            midi.unlisten = () => access.inputs.forEach((input) => input.removeEventListener("midimessage", onMessage));
+            midi.listen();
+            access.addEventListener("statechange", midi.listen);
+        }
+        this.midi = midi;
+        return midi;
+    }
+
+    disconnectMidi() {
+        const midi = this.midi;
+        if (!midi) return;
+        if (midi.listen) {
+            midi.access.removeEventListener("statechange", midi.listen);
+            midi.unlisten();
+        }
+        this.midi = null;
+    }
+
+    // Clock pulses are sent a bar at a time, timestamped, as each "bar" is published.
+    // Timestamps are performance.now() ms.
+    _sendMidiClock(msg) {
+        const at = (wall) => Math.max(0, wall - performance.timeOrigin);
+        const frames = [];
+        if (msg.type === "start") {
+            frames.push([[0xFA], at(msg.at)]);
+        } else if (msg.type === "stop") {
+            frames.push([[0xFC], at(Number.isFinite(msg.at) ? msg.at : RhythonikaSync.now())]);
+        } else if (msg.type === "bar" && msg.bpm && msg.timeSignature) {
+            const pulses = Math.round(RhythonikaSync.quartersPerBar(msg.timeSignature) * RhythonikaSync.ppqn);
+            const spacing = 60000 / msg.bpm / RhythonikaSync.ppqn;
+            for (let i = 0; i < pulses; i++) frames.push([[0xF8], at(msg.at + i * spacing)]);
+        }
+        if (!frames.length) return;
+
+        this.midi.access.outputs.forEach((output) => {
+            try {
+                frames.forEach(([data, time]) => output.send(data, time));
+            } catch (error) {
+                console.error('RhythonikaSync: MIDI clock send failed:', error);
+            }
+        });
+    }
+
+    // Incoming clock: tempo from the pulse spacing, a "bar" every bar's worth of pulses
+    // counted in the followed transport's meter (MIDI clock has no meter of its own)
+    _onMidiClock(e) {
+        const midi = this.midi;
+        if (!midi || !midi.receiving || !e.data || !e.data.length) return;
+        const status = e.data[0];
+        const at = performance.timeOrigin + (e.timeStamp ?? performance.now());
+        const deliver = (msg) => this._receive(Object.assign({ source: "midi", page: null }, msg));
+
+        if (status === 0xF8) {
+            if (midi.lastPulse !== null) {
+                midi.intervals.push(at - midi.lastPulse);
+                if (midi.intervals.length > RhythonikaSync.ppqn) midi.intervals.shift();
+            }
+            midi.lastPulse = at;
+            if (!midi.running) return;
+
+            if (midi.pulses % RhythonikaSync.ppqn === 0 && midi.intervals.length >= RhythonikaSync.ppqn / 2) {
+                const mean = midi.intervals.reduce((a, b) => a + b, 0) / midi.intervals.length;
+                const bpm = Math.round((60000 / (mean * RhythonikaSync.ppqn)) * 10) / 10;
+                // Pulse jitter moves the estimate a little; only a real change is passed on
+                if (midi.bpm === null || Math.abs(bpm - midi.bpm) >= 0.5) {
+                    midi.bpm = bpm;
+                    deliver({ type: "tempo", bpm });
+                }
+            }
+            const ts = this.transport ? this.transport.timeSignature : { numerator: 4, denominator: 4 };
+            const barPulses = Math.round(RhythonikaSync.quartersPerBar(ts) * RhythonikaSync.ppqn);
+            if (midi.pulses % barPulses === 0) deliver({ type: "bar", at, bar: midi.pulses / barPulses + 1 });
+            midi.pulses++;
+        } else if (status === 0xFA || status === 0xFB) {
+            // Start and continue: the next pulse is a downbeat. Song position is not tracked,
+            // so continue starts from the top of a bar too.
+            midi.running = true;
+            midi.pulses = 0;
+            const spacing = midi.intervals.length ? midi.intervals[midi.intervals.length - 1] : 0;
+            deliver({ type: "start", at: at + spacing, bpm: midi.bpm || undefined });
+        } else if (status === 0xFC) {
+            midi.running = false;
+            deliver({ type: "stop", at });
+        }
+    }
+}
+
+// Attach to a Tonika registry on window for classic scripts, export for Node
+if (typeof window !== "undefined") {
+    window.TonikaModules = window.TonikaModules || {};
+    window.TonikaModules.RhythonikaSync = RhythonikaSync;
+}
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = RhythonikaSync;
+}
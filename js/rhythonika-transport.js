@@ -0,0 +1,1334 @@
+// js/rhythonika-transport.js
+// Tonika module: RhythonikaTransport (headless tempo / meter / pattern scheduler)
+// No DOM and no storage: time comes from an injected clock, sound goes to an injected sink.
+// The Rhythonika widget is a view over one of these; it also runs under Node for tests.
+
+class RhythonikaTransport {
+    constructor(opts = {}) {
+        // ---- Injected collaborators ----
+        this.clock = opts.clock || null;   // anything with a `currentTime` in seconds (an AudioContext)
+        this.sink = opts.sink || null;     // { scheduleSound(time, sound, velocity) } (a Soundonika engine)
+        this.ticker = opts.ticker || RhythonikaTransport.defaultTicker();
+
+        // ---- Scheduling ----
+        this.isPlaying = false;
+        this.lookahead = opts.lookahead ?? 25.0;                 // ms between ticks
+        this.scheduleAheadTime = opts.scheduleAheadTime ?? 0.1;  // seconds (audio clock window)
+        this.leadIn = 0.05;                                      // seconds before the first step
+        this.lateTolerance = opts.lateTolerance ?? 0.03;         // seconds a hit may be overdue and still play
+        this._listeners = {};
+        this._pendingBeats = [];       // beats of the current bar not yet emitted
+        this._barCue = null;           // clock time a follower's next bar should start at (see cueBar)
+
+        // ---- Scheduler health (see _measureTick) ----
+        this.timing = RhythonikaTransport._newTiming();
+        this._lastTick = null;         // clock time of the previous tick
+
+        // ---- Tempo & meter ----
+        // BPM always counts quarter notes. Time signature: { numerator, denominator, groups? }
+        // where groups is an additive split of the numerator (e.g. [2,2,3] for 2+2+3/8).
+        this.bpm = RhythonikaTransport.clampBpm(opts.bpm ?? 120);
+        this.maxSlots = 32;
+        this.timeSignature = opts.timeSignature ? this._toTimeSig(opts.timeSignature) : { numerator: 4, denominator: 4 };
+
+        // ---- Sound type configuration (voice → sound name handed to the sink) ----
+        this.soundTypes = Object.assign({
+            accent: 'kick',         // Strong beats
+            normal: 'hihat_closed', // Weak beats
+            ghost: 'hihat_closed',  // Ghost notes (played at low velocity)
+            polyA: 'kick',          // Poly lane voices
+            polyB: 'snare',
+            polyC: 'hihat_closed',
+            beat: 'kick',           // Subdivision layer voices
+            eighths: 'hihat_closed',
+            triplets: 'snare',
+            sixteenths: 'hihat_closed',
+            quintuplets: 'snare'
+        }, opts.soundTypes);
+        this.polyVoices = ['polyA', 'polyB', 'polyC'];
+        this.maxPolyCount = 16;
+        // Subdivision layers: notes per meter beat → voice
+        this.layerVoices = { 1: 'beat', 2: 'eighths', 3: 'triplets', 4: 'sixteenths', 5: 'quintuplets' };
+
+        // ---- Grid slot states (values stored in a grid pattern's `accents`) ----
+        // 1 = accent, 0 = normal, 2 = ghost, 3 = rest. Editors cycle in `slotCycle` order.
+        this.slotStates = {
+            1: { label: "accent", voice: "accent", velocity: 1.0 },
+            0: { label: "normal", voice: "normal", velocity: 0.7 },
+            2: { label: "ghost",  voice: "ghost",  velocity: 0.3 },
+            3: { label: "rest",   voice: null,     velocity: 0 }
+        };
+        this.slotCycle = [1, 0, 2, 3];
+
+        // ---- Patterns ----
+        // grid: accents holds one slot state per slot (see slotStates above). An optional
+        //       evolve { everyBars, seed, moves } mutates a copy of it while playing (see _advanceEvolve).
+        // poly: lanes of { count, voice, level }. mode "ratio" fits every lane into one bar
+        //       (polyrhythm); mode "meter" gives every lane step the same pulse so lanes of
+        //       different lengths drift apart and realign after their LCM (polymeter).
+        // layers: { division, voice, level, muted } stacked on every meter beat, i.e. each group
+        //       of meterGroups() (the dotted quarter in 6/8). Division 1 plays the beat; the
+        //       others split it and play their notes between the beats.
+        this.patterns = {
+            // followsMeter: slots and accents are regenerated from the time signature
+            "basic":      { name: "Basic (follows time sig)", slotsPerBar: 4,  accents: [1,0,0,0], kind: "grid", followsMeter: true },
+            "accent-332": { name: "Accent 3+3+2", slotsPerBar: 8, accents: [1,0,0, 1,0,0, 1,0], kind: "grid" },
+            "accent-323": { name: "Accent 3+2+3", slotsPerBar: 8, accents: [1,0,0, 1,0, 1,0,0], kind: "grid" },
+            "accent-223": { name: "Accent 2+2+3", slotsPerBar: 8, accents: [1,0, 1,0, 1,0,0,0], kind: "grid" },
+            "triplet-mix":{ name: "Mixed Subdivisions", slotsPerBar: 12, accents: [1,0,0, 0,1,0, 0,0,1, 0,0,0], kind: "grid" },
+            "polyrhythm-32": {
+                name: "Polyrhythm 3:2",
+                kind: "poly",
+                mode: "ratio",
+                lanes: [
+                    { count: 3, voice: "polyB", level: 0.7 },
+                    { count: 2, voice: "polyA", level: 1.0 }
+                ]
+            },
+            "polymeter-43": {
+                name: "Polymeter 4 against 3",
+                kind: "poly",
+                mode: "meter",
+                lanes: [
+                    { count: 4, voice: "polyA", level: 1.0 },
+                    { count: 3, voice: "polyB", level: 0.7 }
+                ]
+            },
+            "layers": {
+                name: "Subdivision layers",
+                kind: "layers",
+                layers: [
+                    { division: 1, voice: "beat",        level: 1.0, muted: false },
+                    { division: 2, voice: "eighths",     level: 0.6, muted: false },
+                    { division: 3, voice: "triplets",    level: 0.6, muted: true },
+                    { division: 4, voice: "sixteenths",  level: 0.5, muted: true },
+                    { division: 5, voice: "quintuplets", level: 0.5, muted: true }
+                ]
+            },
+        };
+        this.patternKey = "basic";
+
+        // ---- Speed trainer ----
+        // mode "step": +stepBpm every everyBars bars; mode "ramp": glide over rampSeconds.
+        // onTarget: "hold", "loop" (back to startBpm) or "zigzag" (two steps up, one back; step mode)
+        this.trainer = Object.assign({
+            enabled: false,
+            mode: "step",
+            startBpm: 80,
+            targetBpm: 120,
+            stepBpm: 5,
+            everyBars: 4,
+            rampSeconds: 120,
+            onTarget: "hold"
+        }, opts.trainer);
+
+        // ---- Gap click (internal-time trainer) ----
+        // mode "off", "bars" (play playBars, mute muteBars, repeat) or "random" (drop each
+        // beat or bar with `dropout` probability). Silent steps still advance the clock.
+        this.gap = Object.assign({
+            mode: "off",
+            playBars: 2,
+            muteBars: 2,
+            dropout: 0.3,
+            dropoutUnit: "beat"
+        }, opts.gap);
+
+        // ---- Groove (grid patterns) ----
+        // swing: % of a swing pair given to its first note (50 = straight, 66.7 = triplet)
+        // on 8th or 16th pairs; backbeatMs lays back beats 2/4/...; humanize adds seeded
+        // timing (± ms) and velocity (± %) jitter that repeats on every start.
+        this.grooveTemplates = {
+            "straight":        { name: "Straight",        swing: 50,    swingUnit: "8th",  backbeatMs: 0 },
+            "light-swing":     { name: "Light swing 54%", swing: 54,    swingUnit: "8th",  backbeatMs: 0 },
+            "mpc-58":          { name: "MPC 58%",         swing: 58,    swingUnit: "16th", backbeatMs: 0 },
+            "mpc-62":          { name: "MPC 62%",         swing: 62,    swingUnit: "16th", backbeatMs: 0 },
+            "triplet-shuffle": { name: "Triplet shuffle", swing: 66.67, swingUnit: "8th",  backbeatMs: 0 },
+            "hard-swing":      { name: "Hard swing 71%",  swing: 71,    swingUnit: "8th",  backbeatMs: 0 },
+            "laid-back-snare": { name: "Laid-back snare", swing: 50,    swingUnit: "8th",  backbeatMs: 20 }
+        };
+        this.groove = Object.assign({
+            template: "straight",
+            swing: 50,
+            swingUnit: "8th",
+            backbeatMs: 0,
+            humanizeMs: 0,
+            humanizeVel: 0,
+            seed: 1
+        }, opts.groove);
+
+        // ---- Routine (song map) ----
+        // An ordered list of sections, each setting pattern, meter, tempo and bar count, with an
+        // optional count-in. Sections change at barlines; see setRoutine().
+        this.routine = null;
+        this._routinePlan = [];        // one entry per section pass, count-in first: { index, pass, countIn, section }
+        this.routineLoopSection = null; // section index played over and over, or null
+        this._routineJump = null;      // section index to move to at the next barline
+
+        if (opts.patterns) Object.entries(opts.patterns).forEach(([key, pat]) => this.definePattern(key, pat));
+        if (opts.pattern && this.patterns[opts.pattern]) this.patternKey = opts.pattern;
+        this._applyMeterToPatterns();
+
+        // ---- Playback cursor (see _newCursor) ----
+        this.cursor = this._newCursor(0);
+        if (opts.routine) this.setRoutine(opts.routine);
+    }
+
+    // ---------- Events ----------
+    // "start" / "stop"      { time }; a routine that runs out stops with { time: its end, ended: true }
+    // "step"                { time, gridTime, step, silent, barStart, hits }
+    // "beat"                { time, beat, bar }   (meter beats; group starts in additive meters)
+    // "bar"                 { time, bar, bpm, section }   (section: see getRoutinePosition)
+    // "evolve"              { time, key, accents, generation }   (an evolving grid pattern changed)
+    // "tempo" / "meter" / "pattern"  after the matching setter, or a trainer or routine tempo change
+    on(type, fn) {
+        (this._listeners[type] = this._listeners[type] || []).push(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        this._listeners[type] = (this._listeners[type] || []).filter((f) => f !== fn);
+    }
+
+    _emit(type, detail) {
+        (this._listeners[type] || []).forEach((fn) => {
+            // A broken listener must not stall the scheduler
+            try {
+                fn(detail);
+            } catch (error) {
+                console.error(`RhythonikaTransport: "${type}" listener failed:`, error);
+            }
+        });
+    }
+
+    // ---------- Public setters ----------
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    setSink(sink) {
+        this.sink = sink;
+    }
+
+    // Takes effect from the next step; no reprime, so nothing is doubled or dropped
+    setBpm(bpm) {
+        this.bpm = RhythonikaTransport.clampBpm(bpm);
+        this.cursor.bpm = this.bpm;
+        this._emit("tempo", { bpm: this.bpm, source: "user" });
+    }
+
+    // Accepts { numerator, denominator, groups? } or text such as "7/8" / "2+2+3/8"
+    setTimeSignature(ts) {
+        const next = this._toTimeSig(ts);   // throws before anything changes
+        this._restartBar();
+        this.timeSignature = next;
+        this._applyMeterToPatterns();
+        this._emit("meter", { timeSignature: this.timeSignature });
+    }
+
+    _toTimeSig(ts) {
+        const text = typeof ts === "string" ? ts : RhythonikaTransport.formatTimeSig(ts);
+        return RhythonikaTransport.parseTimeSig(text, this.maxSlots);
+    }
+
+    setPattern(key) {
+        if (!this.patterns[key]) throw new Error(`RhythonikaTransport: unknown pattern "${key}".`);
+        this._restartBar();
+        this.patternKey = key;
+        this._emit("pattern", { key });
+    }
+
+    definePattern(key, pattern) {
+        this.patterns[key] = pattern;
+        if (pattern.followsMeter) this._applyMeterToPatterns();
+    }
+
+    removePattern(key) {
+        delete this.patterns[key];
+        if (this.patternKey === key) this.setPattern("basic");
+    }
+
+    getPattern() {
+        return this.patterns[this.patternKey];
+    }
+
+    setSoundTypes(map) {
+        Object.assign(this.soundTypes, map);
+    }
+
+    setGroove(settings) {
+        Object.assign(this.groove, settings);
+    }
+
+    setGap(settings) {
+        Object.assign(this.gap, settings);
+    }
+
+    // Switching the trainer on mid-run starts it from startBpm at the next bar
+    setTrainer(settings) {
+        const wasEnabled = this.trainer.enabled;
+        Object.assign(this.trainer, settings);
+        if (this.trainer.mode === "ramp" && this.trainer.onTarget === "zigzag") this.trainer.onTarget = "hold";
+        if (this.trainer.enabled && !wasEnabled) this.cursor.trainerRun = null;
+    }
+
+    // { bpm, targetBpm, barsLeft, secondsLeft } while the trainer runs, else null
+    getTrainerProgress() {
+        const t = this.trainer;
+        const run = this.cursor.trainerRun;
+        if (!t.enabled || !this.isPlaying || !run) return null;
+        return {
+            bpm: this.cursor.bpm,
+            targetBpm: t.targetBpm,
+            barsLeft: t.mode === "step" ? t.everyBars - (run.bars % t.everyBars) : null,
+            secondsLeft: t.mode === "ramp" ? Math.max(0, t.rampSeconds - (this.cursor.time - run.startTime)) : null
+        };
+    }
+
+    // ---------- Routine ----------
+    // { sections: [{ name?, pattern?, timeSignature?, bpm?, bars, repeat? }], countIn?, loop? },
+    // or null to leave the current setup playing. A section without a meter keeps the one
+    // before it and one without a BPM keeps the tempo. Everything is checked here, so a bad
+    // section fails now rather than mid-song. While playing, the routine starts at the next bar.
+    setRoutine(routine) {
+        this.routineLoopSection = null;
+        this._routineJump = null;
+        this.cursor.routine = null;
+        if (!routine) {
+            this.routine = null;
+            this._routinePlan = [];
+            return;
+        }
+
+        const raw = Array.isArray(routine.sections) ? routine.sections : [];
+        if (!raw.length) throw new Error("a routine needs at least one section");
+        let meter = this.timeSignature;
+        const sections = raw.map((section, i) => {
+            const clean = this._toSection(section, i, meter);
+            meter = clean.timeSignature;
+            return clean;
+        });
+        const countIn = Math.max(0, Math.min(8, Math.round(Number(routine.countIn) || 0)));
+
+        this.routine = { name: String(routine.name || ""), countIn, loop: !!routine.loop, sections };
+        this._routinePlan = [];
+        if (countIn) {
+            // Clicks the first section's meter and tempo
+            const first = sections[0];
+            this._routinePlan.push({
+                index: -1,
+                pass: 0,
+                countIn: true,
+                section: { name: "Count-in", pattern: "basic", timeSignature: first.timeSignature, bpm: first.bpm, bars: countIn, repeat: 1 }
+            });
+        }
+        sections.forEach((section, index) => {
+            for (let pass = 0; pass < section.repeat; pass++) this._routinePlan.push({ index, pass, countIn: false, section });
+        });
+    }
+
+    _toSection(raw, i, meter) {
+        const label = `section ${i + 1}`;
+        if (!raw || typeof raw !== "object") throw new Error(`${label}: not an object`);
+        const bars = Number(raw.bars);
+        if (!Number.isInteger(bars) || bars < 1 || bars > 999) throw new Error(`${label}: bars must be 1–999`);
+        const repeat = raw.repeat === undefined ? 1 : Number(raw.repeat);
+        if (!Number.isInteger(repeat) || repeat < 1 || repeat > 99) throw new Error(`${label}: repeat must be 1–99`);
+        const pattern = raw.pattern || "basic";
+        if (!this.patterns[pattern]) throw new Error(`${label}: unknown pattern "${pattern}"`);
+
+        let timeSignature = meter;
+        if (raw.timeSignature) {
+            try {
+                timeSignature = this._toTimeSig(raw.timeSignature);
+            } catch (error) {
+                throw new Error(`${label}: ${error.message}`);
+            }
+        }
+
+        return {
+            name: String(raw.name || "").trim() || `Section ${i + 1}`,
+            pattern,
+            timeSignature,
+            bpm: raw.bpm === undefined || raw.bpm === null ? null : RhythonikaTransport.clampBpm(raw.bpm),
+            bars,
+            repeat
+        };
+    }
+
+    // Text form, one section per line or comma:
+    //   "Intro: 4 bars 4/4 @ 90, 2 bars 7/8 x2, Chorus: 8 bars 3+3+2 @ 110 [Accent 3+3+2]"
+    // "Name:" is optional, "N bars" is required, a grouped meter without a denominator is in
+    // eighths, "@ BPM" sets the tempo, "[...]" picks a pattern by name or key and "xN" repeats.
+    parseRoutine(text) {
+        const items = String(text).split(/\n|,(?![^[]*\])/).map((item) => item.trim()).filter(Boolean);
+        return items.map((item, i) => {
+            const fail = (msg) => { throw new Error(`section ${i + 1} ("${item}"): ${msg}`); };
+            const m = /^(?:([^:[\]]+?)\s*:)?\s*(\d+)\s*bars?\b(.*)$/i.exec(item);
+            if (!m) fail("start with the bar count, e.g. 4 bars 4/4");
+
+            const section = { bars: Number(m[2]) };
+            if (m[1]) section.name = m[1].trim();
+            let rest = m[3];
+            const take = (re) => {
+                const found = re.exec(rest);
+                if (found) rest = rest.replace(found[0], " ");
+                return found;
+            };
+
+            const pattern = take(/\[([^\]]*)\]/);
+            if (pattern) {
+                const wanted = pattern[1].trim().toLowerCase();
+                section.pattern = Object.keys(this.patterns).find((key) => key.toLowerCase() === wanted)
+                    || Object.keys(this.patterns).find((key) => this.patterns[key].name.toLowerCase() === wanted);
+                if (!section.pattern) fail(`no pattern called "${pattern[1].trim()}"`);
+            }
+            const bpm = take(/@\s*(\d+(?:\.\d+)?)/);
+            if (bpm) section.bpm = Number(bpm[1]);
+            const repeat = take(/(?:^|\s)[x×]\s*(\d+)\b/i);
+            if (repeat) section.repeat = Number(repeat[1]);
+            const meter = take(/(\d+(?:\s*\+\s*\d+)*)(?:\s*\/\s*(\d+))?/);
+            if (meter) section.timeSignature = meter[2] ? `${meter[1]}/${meter[2]}` : `${meter[1]}/${meter[1].includes("+") ? 8 : 4}`;
+            if (rest.trim()) fail(`unexpected "${rest.trim()}"`);
+            return section;
+        });
+    }
+
+    // Takes effect at the next barline, or when a running count-in ends; start() drops a
+    // jump that is still waiting
+    jumpToSection(index) {
+        if (!this._checkSection(index)) return;
+        this._routineJump = index;
+    }
+
+    // Repeat one section until called with null; playback carries on from there
+    loopSection(index) {
+        this.routineLoopSection = index === null ? null : (this._checkSection(index) ? index : null);
+    }
+
+    _checkSection(index) {
+        if (!this.routine) return false;
+        if (!Number.isInteger(index) || index < 0 || index >= this.routine.sections.length) {
+            throw new Error(`RhythonikaTransport: no section ${index}.`);
+        }
+        return true;
+    }
+
+    // { index, name, bar, bars, pass, passes, countIn } for the bar being scheduled
+    // (bar and pass count from 1; index is -1 during the count-in), else null
+    getRoutinePosition(cursor = this.cursor) {
+        const pos = cursor.routine;
+        if (!this.routine || !pos) return null;
+        const entry = this._routinePlan[pos.entry];
+        return {
+            index: entry.index,
+            name: entry.section.name,
+            bar: pos.bar + 1,
+            bars: entry.section.bars,
+            pass: entry.pass + 1,
+            passes: entry.section.repeat,
+            countIn: entry.countIn
+        };
+    }
+
+    // ---------- Pattern editing ----------
+    cycleSlot(idx, dir = 1) {
+        const pat = this.getPattern();
+        if (!pat || pat.kind !== "grid" || idx < 0 || idx >= pat.slotsPerBar) return null;
+
+        const pos = this.slotCycle.indexOf(pat.accents[idx] ?? 0);
+        const len = this.slotCycle.length;
+        pat.accents[idx] = this.slotCycle[(Math.max(pos, 0) + dir + len) % len];
+        pat.followsMeter = false;     // a meter change would regenerate the accents over the edit
+        this.cursor.evolved = null;   // an evolving pattern starts over from the edit
+        return pat.accents[idx];
+    }
+
+    // A hand-set slot count no longer tracks the meter
+    resizeGrid(count) {
+        const pat = this.getPattern();
+        if (!pat || pat.kind !== "grid") return;
+        const n = Math.max(1, Math.min(this.maxSlots, Math.round(count)));
+        // New slots start as normal hits; shrinking drops the tail
+        pat.accents = Array.from({ length: n }, (_, i) => pat.accents[i] ?? 0);
+        pat.slotsPerBar = n;
+        pat.followsMeter = false;
+        this.cursor.evolved = null;
+        if (this.cursor.step >= n) this._restartBar();
+    }
+
+    // Meter, pattern and grid edits mid-bar start the next step on a downbeat of the new
+    // shape. It is the bar under way again, not a new one, so _nextStep passes it by
+    // _onBarStart and the trainer, routine, gap and evolve counts stay where they were.
+    // Call before the change: a cursor already on a barline is left to start a real bar.
+    _restartBar() {
+        const cursor = this.cursor;
+        if (cursor.step % this._stepsPerBar(this.getPattern()) !== 0 && cursor.bar > 0) cursor.restartBar = true;
+        cursor.step = 0;
+    }
+
+    // "5:4" or "4:3:2" → lanes, keeping voice and level of lanes that already exist
+    setPolyRatio(text) {
+        const pat = this.getPattern();
+        if (!pat || pat.kind !== "poly") return;
+        const m = /^\s*\d+(\s*:\s*\d+)+\s*$/.exec(String(text));
+        if (!m) throw new Error(`"${text}" is not a ratio (try 5:4 or 4:3:2)`);
+        const counts = String(text).split(":").map(Number);
+        if (counts.length > this.polyVoices.length) throw new Error(`at most ${this.polyVoices.length} lanes`);
+        if (counts.some((c) => c < 1 || c > this.maxPolyCount)) throw new Error(`lane counts must be 1–${this.maxPolyCount}`);
+
+        const lanes = pat.lanes;
+        pat.lanes = counts.map((count, i) => {
+            const prev = lanes[i];
+            const used = lanes.slice(0, i).map((lane) => lane.voice);
+            const voice = prev ? prev.voice : this.polyVoices.find((v) => !used.includes(v));
+            return { count, voice, level: prev ? prev.level : 1.0 };
+        });
+        this.cursor.step = 0;
+    }
+
+    setPolyMode(mode) {
+        const pat = this.getPattern();
+        if (!pat || pat.kind !== "poly") return;
+        pat.mode = mode === "meter" ? "meter" : "ratio";
+        this.cursor.step = 0;
+    }
+
+    // { level?, muted? } for one layer of the current layers pattern; heard from the next beat
+    setLayer(index, settings) {
+        const pat = this.getPattern();
+        const layer = pat && pat.kind === "layers" ? pat.layers[index] : null;
+        if (!layer) return;
+        if (settings.level !== undefined) layer.level = Math.max(0, Math.min(1, Number(settings.level) || 0));
+        if (settings.muted !== undefined) layer.muted = !!settings.muted;
+    }
+
+    // ---------- Transport ----------
+    start() {
+        if (!this.clock) throw new Error("RhythonikaTransport: no clock set.");
+        this.cursor = this._newCursor(this.clock.currentTime + this.leadIn);
+        this._routineJump = null;      // drop a jump left over from the last run or made while stopped
+        this._pendingBeats = [];
+        this.timing = RhythonikaTransport._newTiming();
+        this._lastTick = null;
+        this.isPlaying = true;
+        this._emit("start", { time: this.cursor.time });
+        this.ticker.start(() => this.tick(), this.lookahead);
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this._barCue = null;
+        this.ticker.stop();
+        this._emit("stop", { time: this.clock ? this.clock.currentTime : 0 });
+    }
+
+    // Stops and releases the ticker (a Worker clock holds a thread)
+    destroy() {
+        this.stop();
+        if (this.ticker.destroy) this.ticker.destroy();
+    }
+
+    // Re-anchor the cursor to the clock (e.g. after the audio clock was suspended)
+    reprime() {
+        if (!this.clock) return;
+        this.cursor.time = this.clock.currentTime + this.leadIn;
+        this._pendingBeats = [];
+    }
+
+    // Follow another clock: the bar nearest `time` starts at `time` instead. A cue for a bar
+    // already under way stands for the same point a whole bar later (at the same tempo).
+    cueBar(time) {
+        if (Number.isFinite(time)) this._barCue = time;
+    }
+
+    _applyBarCue(now) {
+        let cue = this._barCue;
+        if (cue === null || this.cursor.step % this._stepsPerBar(this.getPattern()) !== 0) return;
+        const barSeconds = (this._barQuarters() * 60) / this.cursor.bpm;
+        const earliest = this.cursor.time - barSeconds / 2;
+        if (cue < earliest) cue += Math.ceil((earliest - cue) / barSeconds) * barSeconds;
+        if (cue > this.cursor.time + barSeconds / 2) return;   // meant for a later bar
+        this._barCue = null;
+        if (cue >= now) this.cursor.time = cue;
+    }
+
+    // One scheduler pass: queue everything that starts inside the lookahead window.
+    // Driven by the ticker; hosts and tests may also call it directly.
+    tick() {
+        if (!this.isPlaying) return;
+        // A suspended audio clock stands still; wait for it instead of counting it as jitter
+        if (this.clock.state && this.clock.state !== "running") {
+            this._lastTick = null;
+            return;
+        }
+        const now = this.clock.currentTime;
+        this._measureTick(now);
+        if (this.cursor.time < now - this.lateTolerance) this._skipMissed(now);
+        const horizon = now + this.scheduleAheadTime;
+        while (this.isPlaying && this.cursor.time < horizon) {
+            this._scheduleStep(now);
+        }
+        this._flushBeats(horizon);
+    }
+
+    _scheduleStep(now) {
+        if (this._routineEnds(this.cursor)) {
+            this._endRoutine();
+            return;
+        }
+        this._applyBarCue(now);
+
+        const bpmBefore = this.cursor.bpm;
+        const generationBefore = this.cursor.evolved ? this.cursor.evolved.generation : null;
+        const step = this._nextStep(this.cursor);
+
+        if (step.barStart) {
+            if (this.cursor.bpm !== bpmBefore) {
+                this.bpm = this.cursor.bpm;
+                this._emit("tempo", { bpm: this.bpm, source: this.cursor.tempoSource });
+            }
+            this._emit("bar", { time: step.gridTime, bar: this.cursor.bar, bpm: this.cursor.bpm, section: this.getRoutinePosition() });
+            this._queueBeats(step.gridTime);
+
+            const evolved = this.cursor.evolved;
+            if (evolved && evolved.generation !== generationBefore) {
+                this._emit("evolve", { time: step.gridTime, key: evolved.key, accents: evolved.accents.slice(), generation: evolved.generation });
+            }
+        }
+        this._flushBeats(step.gridTime + 1e-9);
+
+        if (this.sink) {
+            step.hits.forEach((hit) => {
+                // _skipMissed keeps the step itself current; a hit pulled early by the groove
+                // can still be overdue, and is dropped rather than played late
+                if (hit.time < now - this.lateTolerance) {
+                    this.timing.skipped++;
+                    return;
+                }
+                try {
+                    this.sink.scheduleSound(Math.max(now, hit.time), this.soundTypes[hit.voice], hit.velocity);
+                } catch (error) {
+                    console.error('Failed to schedule sound:', error);
+                }
+            });
+        }
+        this._emit("step", step);
+    }
+
+    // Lateness of each tick against the ticker interval, on the scheduling clock. A tick
+    // later than the lookahead window can cover means notes were at risk.
+    _measureTick(now) {
+        const t = this.timing;
+        t.ticks++;
+        if (this._lastTick !== null && now > this._lastTick) {
+            const lateMs = (now - this._lastTick) * 1000 - this.lookahead;
+            t.jitterMs += (Math.abs(lateMs) - t.jitterMs) * 0.1;   // rolling mean deviation
+            t.maxLateMs = Math.max(t.maxLateMs, lateMs);
+            if (lateMs > this.scheduleAheadTime * 1000 - this.lookahead) t.lateTicks++;
+        }
+        this._lastTick = now;
+    }
+
+    // { ticker, ticks, lateTicks, jitterMs, maxLateMs, skipped, resyncs, skippedSeconds } since
+    // start. skipped counts overdue notes dropped; resyncs the stalls jumped over (_skipMissed).
+    getTimingStats() {
+        return Object.assign({ ticker: this.ticker.kind || "custom" }, this.timing);
+    }
+
+    static _newTiming() {
+        return { ticks: 0, lateTicks: 0, jitterMs: 0, maxLateMs: 0, skipped: 0, resyncs: 0, skippedSeconds: 0 };
+    }
+
+    // After a stall (a long main-thread task, a throttled tab) the cursor is behind the clock.
+    // Rather than run the missed steps in one burst, with their events and their trainer,
+    // routine, gap and evolve bars, move the cursor to the next meter beat still ahead in the
+    // bar under way, or else to a later barline. Bars jumped over are not counted, so the
+    // trainer and routine carry on from where the stall caught them.
+    _skipMissed(now) {
+        const cursor = this.cursor;
+        const pat = this.getPattern();
+        const stepsPerBar = this._stepsPerBar(pat);
+        const cycle = pat.kind === "poly" ? this.polyTicks(pat) : stepsPerBar;
+        const secondsPerQuarter = 60.0 / cursor.bpm;
+        const barQuarters = this._barQuarters();
+        const from = cursor.time;
+
+        // A bar whose downbeat is still pending hasn't started: only whole bars can go
+        const index = cursor.step % stepsPerBar;
+        const into = index === 0 ? 0 : cursor.quarters - cursor.barStartQuarters;
+        let moved = false;
+        if (index !== 0) {
+            const offsets = this._stepOffsets(pat);
+            const beats = this._beatOffsets();
+            for (let i = index + 1; i < stepsPerBar && !moved; i++) {
+                const time = cursor.time + (offsets[i] - into) * secondsPerQuarter;
+                if (time < now || !beats.some((beat) => Math.abs(beat - offsets[i]) < 1e-9)) continue;
+                cursor.step = (cursor.step + i - index) % cycle;
+                cursor.quarters += offsets[i] - into;
+                cursor.time = time;
+                moved = true;
+            }
+        }
+        if (!moved) {
+            const barSeconds = barQuarters * secondsPerQuarter;
+            const barline = cursor.time + (index === 0 ? 0 : barQuarters - into) * secondsPerQuarter;
+            const bars = Math.max(0, Math.ceil((now - barline) / barSeconds - 1e-9));
+            cursor.step = ((Math.ceil(cursor.step / stepsPerBar) + bars) * stepsPerBar) % cycle;
+            cursor.quarters += (index === 0 ? 0 : barQuarters - into) + bars * barQuarters;
+            cursor.time = barline + bars * barSeconds;
+        }
+
+        this._pendingBeats = this._pendingBeats.filter((beat) => beat.time >= cursor.time);
+        this.timing.resyncs++;
+        this.timing.skippedSeconds += cursor.time - from;
+    }
+
+    // Where each step of a bar of `pat` starts, in quarters from the downbeat
+    _stepOffsets(pat) {
+        if (pat.kind === "layers") return this._beatOffsets();
+        const stepsPerBar = this._stepsPerBar(pat);
+        return Array.from({ length: stepsPerBar }, (_, i) => (i * this._barQuarters()) / stepsPerBar);
+    }
+
+    // Where each meter beat starts, in quarters from the downbeat
+    _beatOffsets() {
+        const unit = 4 / this.timeSignature.denominator;
+        let start = 0;
+        return RhythonikaTransport.meterGroups(this.timeSignature).map((len) => {
+            const at = start;
+            start += len * unit;
+            return at;
+        });
+    }
+
+    // Beats sit on the meter, not on pattern steps, so a 3-slot grid in 4/4 still reports four
+    _queueBeats(barTime) {
+        const secondsPerQuarter = 60.0 / this.cursor.bpm;
+        const unit = 4 / this.timeSignature.denominator;
+        let start = 0;
+        RhythonikaTransport.meterGroups(this.timeSignature).forEach((len, beat) => {
+            this._pendingBeats.push({ time: barTime + start * unit * secondsPerQuarter, beat, bar: this.cursor.bar });
+            start += len;
+        });
+    }
+
+    _flushBeats(until) {
+        while (this._pendingBeats.length && this._pendingBeats[0].time < until) {
+            this._emit("beat", this._pendingBeats.shift());
+        }
+    }
+
+    // ---------- Routine playback ----------
+    // Called from _onBarStart(): move to the next bar of the routine, entering a new section
+    // (pattern, meter, tempo) on its first bar
+    _advanceRoutine(cursor) {
+        const plan = this._routinePlan;
+        const pos = cursor.routine;
+        const entry = pos ? plan[pos.entry] : plan[0];
+        const inCountIn = entry.countIn && (!pos || pos.bar + 1 < entry.section.bars);
+
+        let next;
+        if (this._routineJump !== null && !inCountIn) {
+            next = { entry: this._sectionEntry(this._routineJump), bar: 0 };
+            this._routineJump = null;
+        } else {
+            // _routineEnds() stopped playback before a bar past the end could start
+            next = pos ? this._routineNext(pos) : { entry: 0, bar: 0 };
+        }
+        cursor.routine = next;
+        if (next.bar === 0) this._enterSection(cursor, plan[next.entry].section);
+    }
+
+    // The position after `pos`, honouring a looped section and routine.loop; null at the end
+    _routineNext(pos) {
+        const plan = this._routinePlan;
+        const { index, section } = plan[pos.entry];
+        if (pos.bar + 1 < section.bars) return { entry: pos.entry, bar: pos.bar + 1 };
+
+        const loop = this.routineLoopSection;
+        let next = pos.entry + 1;
+        if (loop !== null && index === loop && (next >= plan.length || plan[next].index !== loop)) {
+            next = this._sectionEntry(loop);
+        } else if (next >= plan.length) {
+            if (!this.routine.loop) return null;
+            next = this._sectionEntry(0);
+        }
+        return { entry: next, bar: 0 };
+    }
+
+    _sectionEntry(index) {
+        return this._routinePlan.findIndex((entry) => entry.index === index);
+    }
+
+    _enterSection(cursor, section) {
+        // A pattern deleted since the routine was set keeps whatever is playing
+        if (this.patterns[section.pattern]) this.patternKey = section.pattern;
+        this.timeSignature = section.timeSignature;
+        this._applyMeterToPatterns();
+        if (section.bpm) {
+            cursor.bpm = section.bpm;
+            cursor.tempoSource = "routine";
+        }
+        cursor.step = 0;
+    }
+
+    // True when the next step would start a bar past the end of a routine that doesn't loop
+    _routineEnds(cursor) {
+        if (!this.routine || !cursor.routine || this._routineJump !== null) return false;
+        if (cursor.step % this._stepsPerBar(this.getPattern()) !== 0) return false;
+        return this._routineNext(cursor.routine) === null;
+    }
+
+    // The last bar is already with the sink; stop ticking and say when it ends
+    _endRoutine() {
+        this.isPlaying = false;
+        this.ticker.stop();
+        this._flushBeats(Infinity);
+        this._emit("stop", { time: this.cursor.time, ended: true });
+    }
+
+    // Runs the step generator over `bars` bars from a fresh cursor at time 0 without
+    // touching the live one. Used for offline export; a routine is not followed.
+    collect(bars) {
+        const pat = this.getPattern();
+        const cursor = this._newCursor(0);
+        cursor.routine = false;
+        const hits = [];
+        const tempos = [];
+
+        while (!(cursor.bar >= bars && cursor.step % this._stepsPerBar(pat) === 0)) {
+            const quarters = cursor.quarters;
+            const before = cursor.bpm;
+            const step = this._nextStep(cursor);
+            if (step.barStart && (cursor.bpm !== before || !tempos.length)) tempos.push({ quarters, bpm: cursor.bpm });
+            hits.push(...step.hits);
+        }
+
+        return { hits, tempos, duration: cursor.time, quarters: cursor.quarters };
+    }
+
+    // `bars` bars (as collect()) as a Standard MIDI File built with midi-writer-js: a conductor
+    // track with the time signature and each tempo change, then the notes on channel 10 at
+    // noteFor(sound). Tempo events sit in their own track because midi-writer-js 2.1 fixes a
+    // meta event's delta when it is created, so setTempo(bpm, tick) drifts once notes with a
+    // startTick are merged around it.
+    toMidi(MidiWriter, bars, noteFor) {
+        const ppq = 128; // midi-writer-js ticks per quarter note
+        const { hits, tempos } = this.collect(bars);
+        const conductor = new MidiWriter.Track();
+        conductor.setTimeSignature(this.timeSignature.numerator, this.timeSignature.denominator, 24, 8);
+        let last = 0;
+        tempos.forEach((t) => {
+            const tick = Math.round(t.quarters * ppq);
+            conductor.addEvent(new MidiWriter.TempoEvent({ bpm: t.bpm, tick, delta: tick - last }));
+            last = tick;
+        });
+
+        const track = new MidiWriter.Track();
+        hits.forEach((hit) => {
+            track.addEvent(new MidiWriter.NoteEvent({
+                pitch: [noteFor(this.soundTypes[hit.voice])],
+                duration: "T16",
+                startTick: Math.round(hit.quarters * ppq),
+                velocity: Math.max(1, Math.round(hit.velocity * 100)), // midi-writer-js scale is 1–100
+                channel: 10
+            }));
+        });
+        return new MidiWriter.Writer([conductor, track]).buildFile();
+    }
+
+    // ---------- Event generation (shared by live playback and export) ----------
+    // A cursor is everything that moves while a pattern plays:
+    //   time      clock seconds of the next step (on the straight grid)
+    //   step      next step within the pattern cycle
+    //   bar       bars started so far
+    //   quarters  quarter notes elapsed, for MIDI ticks
+    //   bpm       playing tempo (the speed trainer or routine changes it at barlines)
+    //   tempoSource  who set bpm last: "user", "trainer" or "routine"
+    //   routine   { entry, bar } in the routine plan, null before its first bar, false to ignore it
+    //   trainerRun, barSilent, gapBeat  speed trainer and gap click state
+    //             (gapBeat: { index, silent } of the meter beat under way, for beat dropout)
+    //   barStartQuarters  quarters at the current bar's downbeat
+    //   restartBar  the next downbeat restarts the bar under way (see _restartBar)
+    //   evolved   { key, accents, generation, bars, rng } while an evolving pattern plays
+    //   rng       seeded groove humanize source
+    _newCursor(time) {
+        return {
+            time,
+            step: 0,
+            bar: 0,
+            quarters: 0,
+            bpm: this.bpm,
+            tempoSource: "user",
+            routine: null,
+            trainerRun: null,
+            barSilent: false,
+            gapBeat: null,
+            barStartQuarters: 0,
+            restartBar: false,
+            evolved: null,
+            rng: RhythonikaTransport.seededRandom(this.groove.seed)
+        };
+    }
+
+    // Advances `cursor` by one step of the current pattern and returns what it plays:
+    // { time, gridTime, step, silent, barStart, hits: [{ time, quarters, voice, velocity, layer?, index? }] }
+    // (layer and index, the hit's layer and its note within the bar, only for layers patterns)
+    _nextStep(cursor) {
+        let pat = this.getPattern();
+
+        const barStart = cursor.step % this._stepsPerBar(pat) === 0;
+        if (barStart && cursor.restartBar) {
+            cursor.restartBar = false;
+            cursor.barStartQuarters = cursor.quarters;
+            cursor.gapBeat = null;
+        } else if (barStart) {
+            this._onBarStart(cursor);
+            pat = this.getPattern();   // a routine may have moved on to the next section
+        }
+
+        // Gap click: silent steps keep time and visuals but produce no hits
+        const silent = this._isStepSilent(cursor);
+        const secondsPerQuarter = 60.0 / cursor.bpm;
+        const out = { time: cursor.time, gridTime: cursor.time, step: 0, silent, barStart, hits: [] };
+        let stepQuarters;
+
+        if (pat.kind === "grid") {
+            // Slots split the bar evenly
+            stepQuarters = this._barQuarters() / pat.slotsPerBar;
+
+            const step = cursor.step % pat.slotsPerBar;
+            const accents = cursor.evolved ? cursor.evolved.accents : pat.accents;
+            const slot = this.slotStates[accents[step]] || this.slotStates[0];
+
+            // Groove shifts the hit, not the grid: cursor.time stays straight
+            const groove = this._grooveFor(pat, step, cursor);
+            out.time = cursor.time + groove.offset;
+            out.step = step;
+
+            // Rests advance the clock without sounding
+            if (slot.voice && !silent) {
+                out.hits.push({
+                    time: out.time,
+                    quarters: Math.max(0, cursor.quarters + groove.offset / secondsPerQuarter),
+                    voice: slot.voice,
+                    velocity: Math.min(1, slot.velocity * groove.velocity)
+                });
+            }
+
+            cursor.step = (step + 1) % pat.slotsPerBar;
+
+        } else if (pat.kind === "layers") {
+            // One step per meter beat, as long as its group; each layer adds its notes inside it
+            const groups = RhythonikaTransport.meterGroups(this.timeSignature);
+            const step = cursor.step % groups.length;
+            stepQuarters = groups[step] * (4 / this.timeSignature.denominator);
+            const beatVelocity = this.slotStates[step === 0 ? 1 : 0].velocity;
+            out.step = step;
+
+            pat.layers.forEach((layer, l) => {
+                if (layer.muted || layer.level <= 0 || silent) return;
+                for (let i = layer.division > 1 ? 1 : 0; i < layer.division; i++) {
+                    const frac = i / layer.division;
+                    out.hits.push({
+                        time: cursor.time + frac * stepQuarters * secondsPerQuarter,
+                        quarters: cursor.quarters + frac * stepQuarters,
+                        voice: layer.voice,
+                        velocity: layer.level * (layer.division === 1 ? beatVelocity : 0.7),
+                        layer: l,
+                        index: step * layer.division + i
+                    });
+                }
+            });
+
+            out.hits.sort((x, y) => x.time - y.time);
+            cursor.step = (step + 1) % groups.length;
+
+        } else {
+            // Every lane sounds on the ticks where one of its steps starts. In ratio mode the
+            // cursor jumps from one such tick to the next: a bar of 16:15:13 is 3120 ticks,
+            // but only 42 of them play anything.
+            const ticks = this.polyTicks(pat);
+            const tick = cursor.step % ticks;
+            const next = pat.mode === "meter" ? tick + 1
+                : Math.min(...pat.lanes.map((lane) => {
+                    const span = ticks / lane.count;
+                    return (Math.floor(tick / span) + 1) * span;
+                }));
+            stepQuarters = pat.mode === "meter"
+                ? this._barQuarters() / this.timeSignature.numerator
+                : ((next - tick) * this._barQuarters()) / ticks;
+            out.step = tick;
+
+            pat.lanes.forEach((lane) => {
+                const pos = this.polyLaneStep(pat, lane, tick, ticks);
+                if (!pos.onset || silent) return;
+                // Each lane's first step is its downbeat
+                const velocity = lane.level * (pos.index === 0 ? 1.0 : 0.7);
+                if (velocity <= 0) return;
+                out.hits.push({ time: cursor.time, quarters: cursor.quarters, voice: lane.voice, velocity });
+            });
+
+            cursor.step = next % ticks;
+        }
+
+        cursor.time += stepQuarters * secondsPerQuarter;
+        cursor.quarters += stepQuarters;
+        return out;
+    }
+
+    // Called by _nextStep() at every bar start, before the bar's first step is timed,
+    // so tempo changes land exactly on the barline without repriming the clock.
+    _onBarStart(cursor) {
+        cursor.bar++;
+        cursor.barStartQuarters = cursor.quarters;
+        cursor.gapBeat = null;
+        if (this.routine && cursor.routine !== false) this._advanceRoutine(cursor);
+        if (this.trainer.enabled) this._advanceTrainer(cursor);
+        this._advanceEvolve(cursor);
+        cursor.barSilent = this._decideBarSilence(cursor);
+    }
+
+    // ---------- Meter ----------
+    _applyMeterToPatterns() {
+        Object.values(this.patterns).forEach((pat) => {
+            if (pat.kind !== "grid" || !pat.followsMeter) return;
+            pat.accents = RhythonikaTransport.meterAccents(this.timeSignature);
+            pat.slotsPerBar = pat.accents.length;
+        });
+    }
+
+    // Bar length in quarter notes: numerator denominator-notes
+    _barQuarters() {
+        return this.timeSignature.numerator * (4 / this.timeSignature.denominator);
+    }
+
+    // Ticks in one poly cycle: a bar split at the LCM of the counts (ratio), or, in pulses,
+    // the LCM of the lane lengths and the bar so barlines stay on the tick grid (meter)
+    polyTicks(pat) {
+        const counts = pat.lanes.map((lane) => lane.count);
+        return RhythonikaTransport.lcmAll(pat.mode === "meter" ? [...counts, this.timeSignature.numerator] : counts);
+    }
+
+    _stepsPerBar(pat) {
+        if (pat.kind === "grid") return pat.slotsPerBar;
+        if (pat.kind === "layers") return RhythonikaTransport.meterGroups(this.timeSignature).length;
+        return pat.mode === "meter" ? this.timeSignature.numerator : this.polyTicks(pat);
+    }
+
+    // Which step of `lane` a poly tick falls in, and whether that step starts on the tick
+    polyLaneStep(pat, lane, tick, ticks = this.polyTicks(pat)) {
+        if (pat.mode === "meter") return { index: tick % lane.count, onset: true };
+        const span = ticks / lane.count;
+        return { index: Math.floor(tick / span), onset: tick % span === 0 };
+    }
+
+    // ---------- Speed trainer ----------
+    _advanceTrainer(cursor) {
+        const t = this.trainer;
+        const time = cursor.time;
+        if (!cursor.trainerRun) {
+            cursor.trainerRun = { startTime: time, bars: 0, steps: 0 };
+            this._setTrainerBpm(cursor, t.startBpm);
+            return;
+        }
+
+        const run = cursor.trainerRun;
+        const dir = Math.sign(t.targetBpm - t.startBpm);
+        run.bars++;
+
+        if (t.mode === "ramp") {
+            const progress = Math.min(1, (time - run.startTime) / t.rampSeconds);
+            if (progress >= 1 && t.onTarget === "loop" && cursor.bpm === t.targetBpm) {
+                run.startTime = time;
+                this._setTrainerBpm(cursor, t.startBpm);
+                return;
+            }
+            this._setTrainerBpm(cursor, t.startBpm + (t.targetBpm - t.startBpm) * progress);
+            return;
+        }
+
+        if (run.bars % t.everyBars !== 0) return;
+
+        const reached = dir === 0 || (dir > 0 ? cursor.bpm >= t.targetBpm : cursor.bpm <= t.targetBpm);
+        if (reached) {
+            if (t.onTarget === "loop") {
+                run.steps = 0;
+                this._setTrainerBpm(cursor, t.startBpm);
+            }
+            return;
+        }
+
+        let delta = t.stepBpm * dir;
+        if (t.onTarget === "zigzag" && run.steps % 3 === 2) delta = -delta;
+        run.steps++;
+        const next = cursor.bpm + delta;
+        this._setTrainerBpm(cursor, dir > 0 ? Math.min(t.targetBpm, next) : Math.max(t.targetBpm, next));
+    }
+
+    _setTrainerBpm(cursor, bpm) {
+        cursor.bpm = RhythonikaTransport.clampBpm(Math.round(bpm * 10) / 10);
+        cursor.tempoSource = "trainer";
+    }
+
+    // ---------- Gap click ----------
+    // Bar-level silence, decided once per bar from _onBarStart()
+    _decideBarSilence(cursor) {
+        const g = this.gap;
+        if (g.mode === "bars") {
+            return (cursor.bar - 1) % (g.playBars + g.muteBars) >= g.playBars;
+        }
+        if (g.mode === "random" && g.dropoutUnit === "bar") {
+            return cursor.rng() < g.dropout;
+        }
+        return false;
+    }
+
+    // Beat dropout rolls once per meter beat (a group in compound and additive meters), on
+    // the first step inside it, so a dropped beat is silent for all of its steps. Rolls come
+    // from the cursor's seeded RNG: an export of the same setup drops the same beats.
+    _isStepSilent(cursor) {
+        if (cursor.barSilent) return true;
+        const g = this.gap;
+        if (g.mode !== "random" || g.dropoutUnit !== "beat") return false;
+
+        const unit = 4 / this.timeSignature.denominator;
+        const into = cursor.quarters - cursor.barStartQuarters + 1e-9;
+        let end = 0;
+        const index = RhythonikaTransport.meterGroups(this.timeSignature).findIndex((len) => (end += len * unit) > into);
+        if (!cursor.gapBeat || cursor.gapBeat.index !== index) {
+            cursor.gapBeat = { index, silent: cursor.rng() < g.dropout };
+        }
+        return cursor.gapBeat.silent;
+    }
+
+    // ---------- Evolve ----------
+    // Evolving grid patterns play from a copy of their accents that mutates every everyBars
+    // bars. The copy starts from the pattern on each start (or pattern change, or edit) with
+    // its own seeded RNG, so the same seed always evolves the same way.
+    _advanceEvolve(cursor) {
+        const pat = this.getPattern();
+        const ev = pat.kind === "grid" ? pat.evolve : null;
+        if (!ev) {
+            cursor.evolved = null;
+            return;
+        }
+
+        const current = cursor.evolved;
+        if (!current || current.key !== this.patternKey || current.accents.length !== pat.slotsPerBar) {
+            cursor.evolved = { key: this.patternKey, accents: pat.accents.slice(), generation: 0, bars: 0, rng: RhythonikaTransport.seededRandom(ev.seed) };
+            return;
+        }
+
+        current.bars++;
+        if (current.bars % Math.max(1, ev.everyBars) !== 0) return;
+        for (let i = 0; i < Math.max(1, ev.moves || 1); i++) RhythonikaTransport.mutateAccents(current.accents, current.rng);
+        current.generation++;
+    }
+
+    // ---------- Groove ----------
+    // Timing offset (seconds) and velocity scale for a grid slot. Positions are measured
+    // in quarter notes from the barline, so swing pairs restart every bar: with an odd
+    // number of swing units in the bar the last one has no partner and stays straight.
+    _grooveFor(pat, step, cursor) {
+        const g = this.groove;
+        const ts = this.timeSignature;
+        const secondsPerQuarter = 60.0 / cursor.bpm;
+        const pos = step * this._barQuarters() / pat.slotsPerBar;
+        const onGrid = (x) => Math.abs(x - Math.round(x)) < 1e-6;
+        let offset = 0;
+        let velocity = 1;
+
+        const unit = g.swingUnit === "16th" ? 0.25 : 0.5;
+        if (g.swing !== 50 && onGrid(pos / unit) && Math.round(pos / unit) % 2 === 1) {
+            offset += (2 * g.swing / 100 - 1) * unit * secondsPerQuarter;
+        }
+
+        if (g.backbeatMs) {
+            const beatQuarters = 4 / ts.denominator;
+            let start = 0;
+            RhythonikaTransport.meterGroups(ts).forEach((len, beat) => {
+                if (beat % 2 === 1 && Math.abs(pos - start) < 1e-6) offset += g.backbeatMs / 1000;
+                start += len * beatQuarters;
+            });
+        }
+
+        if (g.humanizeMs || g.humanizeVel) {
+            offset += (cursor.rng() * 2 - 1) * g.humanizeMs / 1000;
+            velocity *= 1 + (cursor.rng() * 2 - 1) * g.humanizeVel / 100;
+        }
+
+        return { offset, velocity };
+    }
+
+    // ---------- Static helpers ----------
+    static clampBpm(bpm) {
+        return Math.max(20, Math.min(400, Number(bpm) || 120));
+    }
+
+    // Parses "7/8", "15/16" or additive "2+2+3/8"; throws with a status-line message
+    static parseTimeSig(text, maxNumerator = 32) {
+        const m = /^\s*(\d+(?:\s*\+\s*\d+)*)\s*\/\s*(\d+)\s*$/.exec(String(text));
+        if (!m) throw new Error(`"${text}" is not a time signature (try 7/8 or 2+2+3/8)`);
+
+        const groups = m[1].split("+").map(Number);
+        const numerator = groups.reduce((a, b) => a + b, 0);
+        const denominator = Number(m[2]);
+        if (groups.some((g) => g < 1)) throw new Error("groups must be at least 1");
+        if (numerator < 1 || numerator > maxNumerator) throw new Error(`numerator must be 1–${maxNumerator}`);
+        if (![1, 2, 4, 8, 16, 32].includes(denominator)) throw new Error("denominator must be 1, 2, 4, 8, 16 or 32");
+
+        return groups.length > 1 ? { numerator, denominator, groups } : { numerator, denominator };
+    }
+
+    static formatTimeSig(ts) {
+        return `${ts.groups ? ts.groups.join("+") : ts.numerator}/${ts.denominator}`;
+    }
+
+    // Beat groups in denominator units. Explicit groupings win; otherwise eighth/sixteenth
+    // meters divisible by three are compound (dotted beats), other odd ones end in a 3,
+    // and everything else counts every denominator note as its own beat.
+    static meterGroups(ts) {
+        const n = ts.numerator;
+        if (ts.groups) return ts.groups.slice();
+        if (ts.denominator >= 8 && n > 3 && n % 3 === 0) return Array(n / 3).fill(3);
+        if (ts.denominator >= 8 && n > 3 && n % 2 === 1) return [...Array((n - 3) / 2).fill(2), 3];
+        return Array(n).fill(1);
+    }
+
+    // One slot per denominator note: downbeat accent, other beat starts normal, and the
+    // notes inside a group as ghosts so compound/additive meters pulse on the group.
+    static meterAccents(ts) {
+        const accents = [];
+        RhythonikaTransport.meterGroups(ts).forEach((len, g) => {
+            for (let i = 0; i < len; i++) accents.push(i > 0 ? 2 : (g === 0 ? 1 : 0));
+        });
+        return accents;
+    }
+
+    // Moves one sounding slot (not the downbeat) to a free neighbour, i.e. a ghost or rest,
+    // so the rhythm shifts while keeping its density. In place; false when nothing can move.
+    static mutateAccents(accents, rng) {
+        const n = accents.length;
+        const sounding = (state) => state === 1 || state === 0;
+        const moves = [];
+        for (let i = 1; i < n; i++) {
+            if (!sounding(accents[i])) continue;
+            [i - 1, i + 1].forEach((j) => {
+                const to = (j + n) % n;
+                if (to !== 0 && !sounding(accents[to])) moves.push([i, to]);
+            });
+        }
+        if (!moves.length) return false;
+
+        const [from, to] = moves[Math.floor(rng() * moves.length)];
+        [accents[from], accents[to]] = [accents[to], accents[from]];
+        return true;
+    }
+
+    static lcm(a, b) {
+        const gcd = (x, y) => (y === 0 ? x : gcd(y, x % y));
+        return Math.abs(a * b) / gcd(a, b);
+    }
+
+    static lcmAll(values) {
+        return values.reduce((acc, v) => RhythonikaTransport.lcm(acc, v), 1);
+    }
+
+    // mulberry32: small, fast and good enough for musical jitter
+    static seededRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Tickers: anything with start(fn, ms) / stop() will do; `kind` and destroy() are optional.
+    // The default is a Worker where there is one, else a main-thread interval.
+    static defaultTicker() {
+        return typeof Worker !== "undefined" ? RhythonikaTransport.workerTicker() : RhythonikaTransport.intervalTicker();
+    }
+
+    // Plain main-thread interval; background tabs throttle it to about once a second
+    static intervalTicker() {
+        let id = null;
+        return {
+            kind: "interval",
+            start(fn, ms) {
+                clearInterval(id);
+                id = setInterval(fn, ms);
+            },
+            stop() {
+                clearInterval(id);
+                id = null;
+            }
+        };
+    }
+
+    // Interval running in a dedicated Worker, which background throttling and long main-thread
+    // tasks hardly touch. If the Worker can't be created or fails to load (e.g. a CSP without
+    // blob: workers) it falls back to intervalTicker() and carries on.
+    static workerTicker() {
+        const source = "let id = null; onmessage = (e) => { clearInterval(id); id = e.data > 0 ? setInterval(() => postMessage(0), e.data) : null; };";
+        let url = null;
+        let worker = null;
+        let fallback = null;
+        let running = null;   // [fn, ms] while started
+
+        const useFallback = (error) => {
+            console.warn("RhythonikaTransport: Worker clock unavailable, using a main-thread interval:", error);
+            if (worker) worker.terminate();
+            worker = null;
+            fallback = RhythonikaTransport.intervalTicker();
+            if (running) fallback.start(...running);
+        };
+
+        try {
+            url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+            worker = new Worker(url);
+            worker.onerror = (e) => {
+                if (e.preventDefault) e.preventDefault();
+                useFallback(e.message || "worker error");
+            };
+        } catch (error) {
+            useFallback(error);
+        }
+
+        return {
+            get kind() {
+                return fallback ? "interval" : "worker";
+            },
+            start(fn, ms) {
+                running = [fn, ms];
+                if (fallback) return fallback.start(fn, ms);
+                worker.onmessage = () => fn();
+                worker.postMessage(ms);
+            },
+            stop() {
+                running = null;
+                if (fallback) return fallback.stop();
+                worker.postMessage(0);
+            },
+            destroy() {
+                running = null;
+                if (fallback) fallback.stop();
+                if (worker) worker.terminate();
+                if (url) URL.revokeObjectURL(url);
+            }
+        };
+    }
+}
+
+// Attach to a Tonika registry on window for classic scripts, export for Node
+if (typeof window !== "undefined") {
+    window.TonikaModules = window.TonikaModules || {};
+    window.TonikaModules.RhythonikaTransport = RhythonikaTransport;
+}
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = RhythonikaTransport;
+}
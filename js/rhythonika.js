@@ -2,31 +2,107 @@
 // Tonika module: Rhythonika (smart metronome w/ patterns)
 // BEM root: .rhythonika (inside .tonika-module)
 // Updated with local sample support and click fallback
+// Tempo, meter, patterns and scheduling live in RhythonikaTransport (js/rhythonika-transport.js)
 
 class Rhythonika {
+    static _instances = 0;       // numbers element ids, so several widgets can share a page
+    static _active = null;       // instance that keyboard shortcuts go to (see _ownsShortcuts)
+
     constructor(opts = {}) {
         this.mount = typeof opts.mount === "string" ? document.querySelector(opts.mount) : opts.mount;
         if (!this.mount) throw new Error("Rhythonika: mount target not found.");
 
-        // ---- Audio / transport state ----
-        this.isPlaying = false;
-        this.bpm = Number(localStorage.getItem("rhyth_bpm")) || 120;
-        this.timeSignature = JSON.parse(localStorage.getItem("rhyth_timesig") || `{"numerator":4,"denominator":4}`);
-        this.currentStep = 0;
-        this.intervalId = null;
+        // ---- Instance ----
+        // `id` keeps this widget's storage (rhyth_<id>_bpm, ...) and URL hash entry apart from
+        // other widgets on the page. Without one, keys are the plain rhyth_* ones.
+        const id = opts.id === undefined || opts.id === null ? "" : String(opts.id);
+        if (id && !/^[\w-]{1,40}$/.test(id)) {
+            throw new Error("Rhythonika: id must be 1–40 letters, digits, - or _.");
+        }
+        this.id = id;
+        this.storagePrefix = id ? `rhyth_${id}_` : "rhyth_";
+        this.hashKey = id ? `rhythonika-${id}` : "rhythonika";
+        this.domId = `rhythonika-${++Rhythonika._instances}`;
+
+        // ---- Transport (tempo, meter, patterns and scheduling; see rhythonika-transport.js) ----
+        // The widget is a view: it seeds the transport from localStorage, persists what the
+        // user changes, and hands it the audio clock and engine once audio is unlocked.
+        if (typeof RhythonikaTransport === "undefined") {
+            throw new Error("Rhythonika: load js/rhythonika-transport.js before js/rhythonika.js.");
+        }
+        this.transport = new RhythonikaTransport({
+            bpm: Number(localStorage.getItem(this._storageKey("bpm"))) || 120,
+            timeSignature: JSON.parse(localStorage.getItem(this._storageKey("timesig")) || `{"numerator":4,"denominator":4}`),
+            trainer: JSON.parse(localStorage.getItem(this._storageKey("trainer")) || "{}"),
+            // hideWhenSilent is view-only; the transport ignores it
+            gap: Object.assign({ hideWhenSilent: false }, JSON.parse(localStorage.getItem(this._storageKey("gap")) || "{}")),
+            groove: JSON.parse(localStorage.getItem(this._storageKey("groove")) || "{}"),
+            soundTypes: JSON.parse(localStorage.getItem(this._storageKey("sounds")) || "{}")
+        });
         this.audioContext = null;
         this.audioEngine = null;
-        this.nextNoteTime = 0.0;
-        this.lookahead = 25.0;         // ms (UI timer)
-        this.scheduleAheadTime = 0.1;  // seconds (audio clock window)
-
-        // ---- Sound type configuration ----
-        this.soundTypes = {
-            accent: 'kick',         // Strong beats
-            normal: 'hihat_closed', // Weak beats
-            polyA: 'kick',          // Polyrhythm grid A
-            polyB: 'snare'          // Polyrhythm grid B
-        };
+        this.visualQueue = [];         // scheduled steps and beats with audio-clock times, consumed by the rAF loop
+        this.displayStep = 0;          // step currently being heard (what the pills show)
+
+        // ---- Visual sync & animation ----
+        // mode "pills" (pattern only), "ring" (large beat ring) or "flash" (full-screen flash).
+        // offsetMs is the user's calibration on top of the context's reported output latency.
+        this.visual = Object.assign({
+            mode: "pills",
+            offsetMs: 0
+        }, JSON.parse(localStorage.getItem(this._storageKey("visual")) || "{}"));
+        this.calibrationTaps = 8;      // taps collected per calibration run
+        this.calibration = null;       // { taps: [audio times], notes: [audio times] } while calibrating
+
+        // ---- Play-along grading (see rhythonika-playalong.js) ----
+        // Taps (J/F keys, the tap pad or a MIDI pad) are graded against the notes heard.
+        // Sessions run from start to stop and are kept for charting progress.
+        if (typeof RhythonikaPlayAlong === "undefined") {
+            throw new Error("Rhythonika: load js/rhythonika-playalong.js before js/rhythonika.js.");
+        }
+        this.playAlong = Object.assign({ enabled: false }, JSON.parse(localStorage.getItem(this._storageKey("playalong")) || "{}"));
+        this.grader = new RhythonikaPlayAlong();
+        this.grading = false;          // a session is running
+        this.sessionsFormat = "rhythonika-sessions";
+        this.sessionsVersion = 1;
+        this.maxSessions = 500;        // oldest sessions drop off beyond this
+        this.sessions = this._loadSessions();
+        this._midiRequest = null;      // Web MIDI access, shared by the tap pad and the sync clock
+
+        // ---- Export ----
+        // General MIDI percussion notes for the sounds voices map to (fallback: side stick)
+        this.gmDrumNotes = { kick: 36, snare: 38, hihat_closed: 42, hihat_open: 46 };
+        this.gmFallbackNote = 37;
+        // Sample files are matched on name tokens ("DD5_CH_03", "VDK1_Kit07_openhat")
+        this.gmSampleNotes = [
+            [/^(kick|bd)\d*$/, 36], [/^(snare|sd)\d*$/, 38], [/^rim(shot)?\d*$/, 37], [/^clap\d*$/, 39],
+            [/^(openhat|oh)\d*$/, 46], [/^(hihat|hat|ch)\d*$/, 42], [/^(shaker|shk)\d*$/, 70]
+        ];
+        this.exportBars = 8;
+        this.exportMaxSeconds = 300;   // WAV length cap: the offline render holds it all in memory
+
+        // ---- Tap tempo ----
+        this.tapTimes = [];            // performance.now() stamps of recent taps
+        this.tapWindow = 8;            // intervals kept in the rolling window
+        this.tapResetMs = 3000;        // a longer pause starts a new tap run
+        this.tapTolerance = 0.25;      // intervals further than this from the median are dropped
+
+        // Built-in engine sounds, offered next to the samples of the browsed kit
+        this.soundChoices = ['kick', 'snare', 'hihat_closed'];
+        // Voices shown in the sound panel, in order
+        this.soundVoices = [
+            { voice: "accent", label: "Accent" },
+            { voice: "normal", label: "Normal" },
+            { voice: "ghost",  label: "Ghost" },
+            { voice: "polyA",  label: "Poly lane 1" },
+            { voice: "polyB",  label: "Poly lane 2" },
+            { voice: "polyC",  label: "Poly lane 3" },
+            { voice: "beat",        label: "Layer: beat" },
+            { voice: "eighths",     label: "Layer: ÷2" },
+            { voice: "triplets",    label: "Layer: ÷3" },
+            { voice: "sixteenths",  label: "Layer: ÷4" },
+            { voice: "quintuplets", label: "Layer: ÷5" }
+        ];
 
         // ---- CDN Configuration (Soundonika only) ----
         this.soundonikaCDN = opts.soundonikaCDN || 'https://cdn.jsdelivr.net/gh/aa-parky/soundonika@8d46682/js/soundonika.js';
@@ -34,30 +110,164 @@ class Rhythonika {
         // ---- Local Sample Path ----
         this.samplePath = './samples';  // Local samples directory
 
-        // ---- Patterns (grid-based, except polyrhythm which is dual grid) ----
-        // accents: 1 = strong, 0 = weak (for simple single-grid patterns)
-        this.patterns = {
-            "basic":      { name: "Basic 4/4", slotsPerBar: 4,  accents: [1,0,0,0], kind: "grid" },
-            "accent-332": { name: "Accent 3+3+2", slotsPerBar: 8, accents: [1,0,0, 1,0,0, 1,0], kind: "grid" },
-            "accent-323": { name: "Accent 3+2+3", slotsPerBar: 8, accents: [1,0,0, 1,0, 1,0,0], kind: "grid" },
-            "accent-223": { name: "Accent 2+2+3", slotsPerBar: 8, accents: [1,0, 1,0, 1,0,0,0], kind: "grid" },
-            "triplet-mix":{ name: "Mixed Subdivisions", slotsPerBar: 12, accents: [1,0,0, 0,1,0, 0,0,1, 0,0,0], kind: "grid" },
-            "polyrhythm-32": {
-                name: "Polyrhythm 3:2",
-                kind: "poly",
-                // Two independent grids over the same bar length
-                // A: 2-beat grid (stronger timbre), B: 3-beat grid (different timbre)
-                gridA: { count: 2, freq: 1800, gain: 0.28 },
-                gridB: { count: 3, freq: 1100, gain: 0.20 }
-            },
-        };
+        // ---- Sample kits (see rhythonika-kit.js); also the transport's sound sink ----
+        if (typeof RhythonikaKit === "undefined") {
+            throw new Error("Rhythonika: load js/rhythonika-kit.js before js/rhythonika.js.");
+        }
+        this.kit = new RhythonikaKit({ basePath: this.samplePath });
+        this.browseKit = localStorage.getItem(this._storageKey("kit")) || "";
+
+        // ---- User pattern library (presets persisted in localStorage) ----
+        // Each preset: { id, name, bpm, timeSignature, soundTypes, pattern }
+        this.libraryFormat = "rhythonika-library";
+        this.libraryVersion = 1;
+        this.libraryRejected = [];     // stored entries that failed validation, written back as they were
+        this.library = this._loadLibrary();
+        this.library.forEach((preset) => this._registerPreset(preset));
+
+        // ---- Pattern generator (see rhythonika-generator.js) ----
+        // Builds the "generated" pattern, which plays, edits and saves like any built-in
+        if (typeof RhythonikaGenerator === "undefined") {
+            throw new Error("Rhythonika: load js/rhythonika-generator.js before js/rhythonika.js.");
+        }
+        this.generator = Object.assign({
+            type: "euclid",          // "euclid" or "family"
+            hits: 3,
+            steps: 8,
+            family: "son-32",        // key of RhythonikaGenerator.families
+            rotation: 0,
+            fill: "rest",            // "rest" or "pulse" (ghost notes between hits)
+            evolve: false,
+            everyBars: 4,
+            seed: 1
+        }, JSON.parse(localStorage.getItem(this._storageKey("generator")) || "{}"));
+        this.generated = this._generate();
+
+        // ---- Routine (song map; parsed by the transport, see RhythonikaTransport.parseRoutine) ----
+        // Stored as the text the user typed, so sections can name library presets
+        this.routineSettings = Object.assign({
+            enabled: false,
+            text: "",
+            countIn: 1,
+            loop: false
+        }, JSON.parse(localStorage.getItem(this._storageKey("routine")) || "{}"));
+        this.routineError = null;      // why the routine text didn't parse
+        this.routineView = null;       // routine position being heard (see RhythonikaTransport.getRoutinePosition)
+        this.routineBeat = 0;
+        this._endTimer = null;         // pending view stop after a routine's last bar
+        this._applyRoutine();
+
+        // ---- Sync bus (see rhythonika-sync.js) ----
+        // mode "lead" publishes this transport to other modules and tabs, "follow" plays along
+        // with a leader. midi "out" sends MIDI clock of what we lead, "in" follows MIDI clock.
+        if (typeof RhythonikaSync === "undefined") {
+            throw new Error("Rhythonika: load js/rhythonika-sync.js before js/rhythonika.js.");
+        }
+        this.syncSettings = Object.assign({
+            mode: "off",
+            midi: "off"
+        }, JSON.parse(localStorage.getItem(this._storageKey("sync")) || "{}"));
+        this.sync = new RhythonikaSync();
+        this.syncHeard = null;         // last message a follower acted on, for the readout
+
+        const storedPattern = localStorage.getItem(this._storageKey("pattern"));
+        if (storedPattern && this.transport.patterns[storedPattern]) this.transport.setPattern(storedPattern);
 
-        this.selectedPatternKey = localStorage.getItem("rhyth_pattern") || "basic";
+        // A shared link (#rhythonika=...) opens its exercise without overwriting what is stored
+        this.sharedSetup = this._restoreFromHash();
 
         // Build UI and wire controls
         this._render();
         this._bindUI();
+        this._bindTransport();
         this._renderPills(); // initial
+        if (this.sharedSetup) this._updateStatus(`Opened shared setup "${this.sharedSetup}"`);
+    }
+
+    // ---------- Instance ----------
+    _storageKey(name) {
+        return `${this.storagePrefix}${name}`;
+    }
+
+    // With focus inside a widget, its keys are its own; otherwise they go to the one used last
+    _ownsShortcuts() {
+        const focused = document.activeElement;
+        if (focused && focused !== document.body && focused.closest && focused.closest(".rhythonika")) {
+            return this.root.contains(focused);
+        }
+        return Rhythonika._active === this;
+    }
+
+    // ---------- Shared links ----------
+    // The setup as one URL-safe token: a preset (see _validatePreset) plus the groove
+    _encodeState() {
+        const pat = this.transport.getPattern();
+        const state = {
+            v: 1,
+            name: pat.name.replace(/^Shared: /, "").slice(0, 60),
+            bpm: this.transport.bpm,
+            timeSignature: this.transport.timeSignature,
+            soundTypes: this.transport.soundTypes,
+            groove: this.transport.groove,
+            pattern: pat
+        };
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    // Returns a clean state or throws; anything not in a preset or the groove is ignored
+    _decodeState(token) {
+        const binary = atob(token.replace(/-/g, "+").replace(/_/g, "/"));
+        const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+        if (!state || state.v !== 1) throw new Error("shared setup: unknown version");
+        const preset = this._validatePreset(state, "shared setup");
+
+        const g = state.groove || {};
+        const num = (v, lo, hi, fallback) => (Number.isFinite(v) ? Math.max(lo, Math.min(hi, v)) : fallback);
+        const known = typeof g.template === "string" && (g.template === "custom" || Object.hasOwn(this.transport.grooveTemplates, g.template));
+        preset.groove = {
+            template: known ? g.template : "straight",
+            swing: num(g.swing, 50, 75, 50),
+            swingUnit: g.swingUnit === "16th" ? "16th" : "8th",
+            backbeatMs: Math.round(num(g.backbeatMs, -40, 40, 0)),
+            humanizeMs: Math.round(num(g.humanizeMs, 0, 30, 0)),
+            humanizeVel: Math.round(num(g.humanizeVel, 0, 50, 0)),
+            seed: Math.max(1, Math.round(num(g.seed, 1, 2 ** 31, 1)))
+        };
+        preset.soundTypes = Object.fromEntries(Object.entries(preset.soundTypes).filter(([voice]) => Object.hasOwn(this.transport.soundTypes, voice)));
+        return preset;
+    }
+
+    // Plays the setup from this widget's hash entry as the "shared" pattern; returns its name
+    _restoreFromHash() {
+        const token = new URLSearchParams(location.hash.slice(1)).get(this.hashKey);
+        if (!token) return null;
+        try {
+            const state = this._decodeState(token);
+            this.transport.setBpm(state.bpm);
+            this.transport.setTimeSignature(state.timeSignature);
+            this.transport.setSoundTypes(state.soundTypes);
+            this.transport.setGroove(state.groove);
+            this.transport.definePattern("shared", Object.assign(state.pattern, { name: `Shared: ${state.name}` }));
+            this.transport.setPattern("shared");
+            return state.name;
+        } catch (error) {
+            console.warn("Rhythonika: ignoring unreadable shared setup in the URL:", error);
+            return null;
+        }
+    }
+
+    // Puts the setup in the address bar, next to other widgets' entries, and copies the link
+    _shareLink() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        params.set(this.hashKey, this._encodeState());
+        history.replaceState(null, "", `#${params}`);
+        const inBar = () => this._updateStatus("Link to this setup is in the address bar");
+        if (!navigator.clipboard) {
+            inBar();
+            return;
+        }
+        navigator.clipboard.writeText(location.href).then(() => this._updateStatus("Link to this setup copied"), inBar);
     }
 
     // ---------- CDN Loading (Soundonika only) ----------
@@ -94,16 +304,12 @@ class Rhythonika {
 
     // ---------- Simple Sample Check ----------
     async _checkLocalSamples() {
-        try {
-            this._updateStatus("Checking for local samples...");
-            const response = await fetch(`${this.samplePath}/sample-index.json`);
-            if (response.ok) {
-                console.log(`✅ Found local samples at: ${this.samplePath}`);
-                this._updateStatus("Local samples available");
-                return true;
-            }
-        } catch (error) {
-            console.log(`❌ Local samples not found: ${error.message}`);
+        this._updateStatus("Checking for local samples...");
+        // The kit browser reads the same index, so this fetches it at most once
+        if (await this.kit.loadIndex()) {
+            console.log(`✅ Found local samples at: ${this.samplePath}`);
+            this._updateStatus("Local samples available");
+            return true;
         }
 
         console.log('⚠️ No local samples found, will use click sounds');
@@ -124,30 +330,28 @@ class Rhythonika {
 
       <div class="rhythonika__controls">
         <div class="rhythonika__field">
-          <label class="rhythonika__label">BPM</label>
-          <input class="tonika-input rhythonika__bpm" type="number" min="20" max="400" step="1" value="${this.bpm}" />
+          <label class="rhythonika__label" title="Quarter-note tempo">BPM (♩)</label>
+          <div class="rhythonika__bpm-row">
+            <input class="tonika-input rhythonika__bpm" type="number" min="20" max="400" step="1" value="${this.transport.bpm}" />
+            <button class="tonika-btn rhythonika__tap" type="button" title="Tap tempo (T)">Tap</button>
+            <button class="tonika-btn rhythonika__tap-half" type="button" title="Half time" aria-label="Half time">½</button>
+            <button class="tonika-btn rhythonika__tap-double" type="button" title="Double time" aria-label="Double time">2×</button>
+          </div>
         </div>
 
         <div class="rhythonika__field">
           <label class="rhythonika__label">Time Sig</label>
-          <select class="tonika-select rhythonika__timesig">
-            ${this._timesigOption({n:4,d:4})}
-            ${this._timesigOption({n:3,d:4})}
-            ${this._timesigOption({n:6,d:8})}
-            ${this._timesigOption({n:5,d:4})}
-          </select>
+          <input class="tonika-input rhythonika__timesig" type="text" list="${this.domId}-timesigs" spellcheck="false"
+                 title="Any N/D, or an additive grouping such as 2+2+3/8" value="${RhythonikaTransport.formatTimeSig(this.transport.timeSignature)}" />
+          <datalist id="${this.domId}-timesigs">
+            ${["4/4", "3/4", "2/4", "5/4", "9/4", "6/8", "9/8", "12/8", "5/8", "7/8", "11/8", "15/16",
+               "2+2+3/8", "3+2+2/8", "3+3+2/8", "2+2+2+3/8"].map((v) => `<option value="${v}"></option>`).join("")}
+          </datalist>
         </div>
 
         <div class="rhythonika__field rhythonika__field--grow">
           <label class="rhythonika__label">Pattern</label>
-          <select class="tonika-select rhythonika__pattern">
-            <option value="basic">Basic 4/4</option>
-            <option value="accent-332">Accent Pattern 3+3+2</option>
-            <option value="accent-323">Accent Pattern 3+2+3</option>
-            <option value="accent-223">Accent Pattern 2+2+3</option>
-            <option value="triplet-mix">Mixed Subdivisions</option>
-            <option value="polyrhythm-32">Polyrhythm 3 over 2</option>
-          </select>
+          <select class="tonika-select rhythonika__pattern"></select>
         </div>
 
         <div class="rhythonika__transport">
@@ -174,9 +378,347 @@ class Rhythonika {
         </div>
       </div>
 
+      <div class="rhythonika__library">
+        <div class="rhythonika__field rhythonika__field--grow">
+          <label class="rhythonika__label">Preset</label>
+          <input class="tonika-input rhythonika__preset-name" type="text" maxlength="60" placeholder="Name this setup" />
+        </div>
+        <button class="tonika-btn rhythonika__preset-save" type="button">Save</button>
+        <button class="tonika-btn tonika-btn--danger rhythonika__preset-delete" type="button">Delete</button>
+        <button class="tonika-btn rhythonika__preset-export" type="button">Export</button>
+        <button class="tonika-btn rhythonika__preset-import" type="button">Import</button>
+        <button class="tonika-btn rhythonika__share" type="button" title="Copy a link that opens this setup">Link</button>
+        <input class="rhythonika__preset-file" type="file" accept=".json,application/json" hidden />
+      </div>
+
+      <details class="rhythonika__panel rhythonika__generator">
+        <summary class="rhythonika__panel-title">Generator</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Type</label>
+            <select class="tonika-select rhythonika__gen-type">
+              <option value="euclid">Euclidean E(k,n)</option>
+              <option value="family">Clave &amp; bell</option>
+            </select>
+          </div>
+          <div class="rhythonika__field rhythonika__gen-euclid-only">
+            <label class="rhythonika__label">Hits</label>
+            <input class="tonika-input rhythonika__gen-hits" type="number" min="0" max="${this.transport.maxSlots}" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__gen-euclid-only">
+            <label class="rhythonika__label">Steps</label>
+            <input class="tonika-input rhythonika__gen-steps" type="number" min="1" max="${this.transport.maxSlots}" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__gen-family-only">
+            <label class="rhythonika__label">Timeline</label>
+            <select class="tonika-select rhythonika__gen-family">
+              ${[...new Set(Object.values(RhythonikaGenerator.families).map((fam) => fam.family))].map((family) => `
+                <optgroup label="${family}">
+                  ${Object.entries(RhythonikaGenerator.families).filter(([, fam]) => fam.family === family)
+                      .map(([key, fam]) => `<option value="${key}">${fam.name}</option>`).join("")}
+                </optgroup>`).join("")}
+            </select>
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Rotation</label>
+            <input class="tonika-input rhythonika__gen-rotation" type="number" min="0" max="${this.transport.maxSlots - 1}" step="1" />
+          </div>
+          <button class="tonika-btn rhythonika__gen-next" type="button" title="Next rotation that sounds different">Next variant</button>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Between hits</label>
+            <select class="tonika-select rhythonika__gen-fill">
+              <option value="rest">Rests</option>
+              <option value="pulse">Quiet pulse</option>
+            </select>
+          </div>
+          <label class="rhythonika__check">
+            <input type="checkbox" class="rhythonika__gen-evolve" /> Evolve
+          </label>
+          <div class="rhythonika__field rhythonika__gen-evolve-only">
+            <label class="rhythonika__label">Every (bars)</label>
+            <input class="tonika-input rhythonika__gen-every" type="number" min="1" max="64" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__gen-evolve-only">
+            <label class="rhythonika__label">Seed</label>
+            <input class="tonika-input rhythonika__gen-seed" type="number" min="1" step="1" />
+          </div>
+          <div class="rhythonika__gen-readout tonika-text-muted" aria-live="polite"></div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__trainer">
+        <summary class="rhythonika__panel-title">Speed trainer</summary>
+        <div class="rhythonika__panel-body">
+          <label class="rhythonika__check">
+            <input type="checkbox" class="rhythonika__trainer-enabled" /> Enable
+          </label>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Mode</label>
+            <select class="tonika-select rhythonika__trainer-mode">
+              <option value="step">Step every N bars</option>
+              <option value="ramp">Smooth ramp</option>
+            </select>
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Start</label>
+            <input class="tonika-input rhythonika__trainer-start" type="number" min="20" max="400" step="1" />
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Target</label>
+            <input class="tonika-input rhythonika__trainer-target" type="number" min="20" max="400" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__trainer-step-only">
+            <label class="rhythonika__label">+BPM</label>
+            <input class="tonika-input rhythonika__trainer-step" type="number" min="1" max="50" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__trainer-step-only">
+            <label class="rhythonika__label">Every (bars)</label>
+            <input class="tonika-input rhythonika__trainer-every" type="number" min="1" max="64" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__trainer-ramp-only">
+            <label class="rhythonika__label">Over (sec)</label>
+            <input class="tonika-input rhythonika__trainer-seconds" type="number" min="5" max="3600" step="5" />
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">At target</label>
+            <select class="tonika-select rhythonika__trainer-on-target">
+              <option value="hold">Hold</option>
+              <option value="loop">Loop back to start</option>
+              <option value="zigzag">Two steps forward, one back</option>
+            </select>
+          </div>
+          <div class="rhythonika__trainer-readout tonika-text-muted" aria-live="polite"></div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__gap">
+        <summary class="rhythonika__panel-title">Gap click</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Mode</label>
+            <select class="tonika-select rhythonika__gap-mode">
+              <option value="off">Off</option>
+              <option value="bars">Play N bars, mute M</option>
+              <option value="random">Random dropout</option>
+            </select>
+          </div>
+          <div class="rhythonika__field rhythonika__gap-bars-only">
+            <label class="rhythonika__label">Play (bars)</label>
+            <input class="tonika-input rhythonika__gap-play" type="number" min="1" max="64" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__gap-bars-only">
+            <label class="rhythonika__label">Mute (bars)</label>
+            <input class="tonika-input rhythonika__gap-mute" type="number" min="1" max="64" step="1" />
+          </div>
+          <div class="rhythonika__field rhythonika__gap-random-only">
+            <label class="rhythonika__label">Drop %</label>
+            <input class="tonika-input rhythonika__gap-dropout" type="number" min="0" max="100" step="5" />
+          </div>
+          <div class="rhythonika__field rhythonika__gap-random-only">
+            <label class="rhythonika__label">Drop each</label>
+            <select class="tonika-select rhythonika__gap-unit">
+              <option value="beat">Beat</option>
+              <option value="bar">Bar</option>
+            </select>
+          </div>
+          <label class="rhythonika__check">
+            <input type="checkbox" class="rhythonika__gap-hide" /> Hide pills while silent
+          </label>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__routine">
+        <summary class="rhythonika__panel-title">Routine</summary>
+        <div class="rhythonika__panel-body">
+          <label class="rhythonika__check">
+            <input type="checkbox" class="rhythonika__routine-enabled" /> Play routine
+          </label>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Count-in (bars)</label>
+            <input class="tonika-input rhythonika__routine-count-in" type="number" min="0" max="8" step="1" />
+          </div>
+          <label class="rhythonika__check">
+            <input type="checkbox" class="rhythonika__routine-loop" /> Loop routine
+          </label>
+          <div class="rhythonika__field rhythonika__routine-field">
+            <label class="rhythonika__label">Sections</label>
+            <textarea class="tonika-input rhythonika__routine-text" rows="3" spellcheck="false"
+                      placeholder="Intro: 4 bars 4/4 @ 90, 2 bars 7/8, Chorus: 8 bars 3+3+2 @ 110 x2"
+                      title="One section per line or comma: [Name:] N bars [meter] [@ BPM] [[pattern]] [xN]"></textarea>
+          </div>
+          <ol class="rhythonika__routine-sections"></ol>
+          <div class="rhythonika__routine-readout tonika-text-muted" aria-live="polite"></div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__sync">
+        <summary class="rhythonika__panel-title">Sync</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Role</label>
+            <select class="tonika-select rhythonika__sync-mode" title="Other Tonika modules and tabs of this site share one sync bus">
+              <option value="off">Off</option>
+              <option value="lead">Lead</option>
+              <option value="follow">Follow</option>
+            </select>
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">MIDI clock</label>
+            <select class="tonika-select rhythonika__sync-midi" title="24 PPQN with start, stop and continue">
+              <option value="off">Off</option>
+              <option value="out">Send (when leading)</option>
+              <option value="in">Receive (when following)</option>
+            </select>
+          </div>
+          <div class="rhythonika__sync-readout tonika-text-muted" aria-live="polite"></div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__groove">
+        <summary class="rhythonika__panel-title">Groove</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Template</label>
+            <select class="tonika-select rhythonika__groove-template">
+              ${Object.entries(this.transport.grooveTemplates).map(([key, t]) => `<option value="${key}">${t.name}</option>`).join("")}
+              <option value="custom">Custom</option>
+            </select>
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Swing <span class="rhythonika__groove-swing-value"></span></label>
+            <input class="tonika-input rhythonika__groove-swing" type="range" min="50" max="75" step="0.5" />
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">On</label>
+            <select class="tonika-select rhythonika__groove-unit">
+              <option value="8th">8ths</option>
+              <option value="16th">16ths</option>
+            </select>
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Backbeat (ms)</label>
+            <input class="tonika-input rhythonika__groove-backbeat" type="number" min="-40" max="40" step="1" />
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Humanize ±ms</label>
+            <input class="tonika-input rhythonika__groove-hum-ms" type="number" min="0" max="30" step="1" />
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">±Velocity %</label>
+            <input class="tonika-input rhythonika__groove-hum-vel" type="number" min="0" max="50" step="1" />
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Seed</label>
+            <input class="tonika-input rhythonika__groove-seed" type="number" min="1" step="1" />
+          </div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__sounds">
+        <summary class="rhythonika__panel-title">Sounds</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Kit</label>
+            <select class="tonika-select rhythonika__kit">
+              <option value="">Built-in sounds only</option>
+            </select>
+          </div>
+          <div class="rhythonika__sound-voices">
+            ${this.soundVoices.map(({ voice, label }) => `
+              <div class="rhythonika__sound-voice" data-voice="${voice}">
+                <span class="rhythonika__label">${label}</span>
+                <select class="tonika-select rhythonika__sound-pick" aria-label="${label} sound"></select>
+                <button class="tonika-btn rhythonika__sound-play" type="button" title="Audition" aria-label="Audition ${label}">▶</button>
+                <span class="rhythonika__sound-status tonika-text-muted"></span>
+              </div>`).join("")}
+          </div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__display">
+        <summary class="rhythonika__panel-title">Display</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Animation</label>
+            <select class="tonika-select rhythonika__visual-mode">
+              <option value="pills">Pattern only</option>
+              <option value="ring">Beat ring</option>
+              <option value="flash">Full-screen flash</option>
+            </select>
+          </div>
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Offset (ms)</label>
+            <input class="tonika-input rhythonika__visual-offset" type="number" min="-250" max="250" step="1" />
+          </div>
+          <button class="tonika-btn rhythonika__calibrate" type="button" title="Start playback, press, then tap along with the click">Calibrate</button>
+          <div class="rhythonika__visual-readout tonika-text-muted" aria-live="polite"></div>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__playalong">
+        <summary class="rhythonika__panel-title">Play-along</summary>
+        <div class="rhythonika__panel-body">
+          <label class="rhythonika__check">
+            <input type="checkbox" class="rhythonika__pa-enabled" /> Grade my taps
+          </label>
+          <button class="tonika-btn rhythonika__pa-pad" type="button" title="Tap along: this pad, J or F, or a MIDI pad">Tap pad</button>
+          <button class="tonika-btn rhythonika__pa-midi" type="button">Connect MIDI</button>
+          <div class="rhythonika__pa-meter" title="Average of your last taps">
+            <span class="rhythonika__pa-end">Rushing</span>
+            <span class="rhythonika__pa-track"><span class="rhythonika__pa-needle"></span></span>
+            <span class="rhythonika__pa-end">Dragging</span>
+          </div>
+          <div class="rhythonika__pa-readout tonika-text-muted" aria-live="polite"></div>
+          <div class="rhythonika__pa-stats"></div>
+          <div class="rhythonika__pa-history tonika-text-muted"></div>
+          <button class="tonika-btn rhythonika__pa-csv" type="button">Export CSV</button>
+          <button class="tonika-btn rhythonika__pa-json" type="button">Export JSON</button>
+          <button class="tonika-btn tonika-btn--danger rhythonika__pa-clear" type="button">Clear history</button>
+        </div>
+      </details>
+
+      <details class="rhythonika__panel rhythonika__export">
+        <summary class="rhythonika__panel-title">Export</summary>
+        <div class="rhythonika__panel-body">
+          <div class="rhythonika__field">
+            <label class="rhythonika__label">Bars</label>
+            <input class="tonika-input rhythonika__export-bars" type="number" min="1" max="256" step="1" value="${this.exportBars}" />
+          </div>
+          <button class="tonika-btn rhythonika__export-wav" type="button">WAV</button>
+          <button class="tonika-btn rhythonika__export-midi" type="button">MIDI</button>
+        </div>
+      </details>
+
       <div class="rhythonika__meter">
+        <div class="rhythonika__ring" hidden aria-hidden="true">
+          <span class="rhythonika__ring-beat"></span>
+        </div>
+        <div class="rhythonika__flash" hidden aria-hidden="true"></div>
         <div class="rhythonika__pills" aria-label="Rhythm pattern pills"></div>
-        <div class="rhythonika__legend tonika-text-muted"></div>
+        <div class="rhythonika__poly" hidden>
+          <div class="rhythonika__poly-settings">
+            <div class="rhythonika__field">
+              <label class="rhythonika__label">Ratio</label>
+              <input class="tonika-input rhythonika__poly-ratio" type="text" spellcheck="false" title="Two or three lanes, e.g. 5:4 or 4:3:2" />
+            </div>
+            <div class="rhythonika__field">
+              <label class="rhythonika__label">Mode</label>
+              <select class="tonika-select rhythonika__poly-mode">
+                <option value="ratio">Polyrhythm (lanes share the bar)</option>
+                <option value="meter">Polymeter (lanes share the pulse)</option>
+              </select>
+            </div>
+          </div>
+          <div class="rhythonika__poly-lanes"></div>
+        </div>
+        <div class="rhythonika__layers" hidden></div>
+        <div class="rhythonika__meter-footer">
+          <div class="rhythonika__legend tonika-text-muted"></div>
+          <label class="rhythonika__slots-field">
+            <span class="rhythonika__label">Slots</span>
+            <input class="tonika-input rhythonika__slots" type="number" min="1" max="${this.transport.maxSlots}" step="1" />
+          </label>
+        </div>
       </div>
     `;
 
@@ -184,55 +726,375 @@ class Rhythonika {
         this.mount.appendChild(this.root);
 
         // Set current UI selections
-        const tsSel = this.root.querySelector(".rhythonika__timesig");
-        tsSel.value = `${this.timeSignature.numerator}/${this.timeSignature.denominator}`;
-        const patSel = this.root.querySelector(".rhythonika__pattern");
-        patSel.value = this.selectedPatternKey;
+        this._renderPatternOptions();
     }
 
-    _timesigOption({n,d}) {
-        const v = `${n}/${d}`;
-        const sel = (this.timeSignature.numerator === n && this.timeSignature.denominator === d) ? "selected" : "";
-        return `<option value="${v}" ${sel}>${v}</option>`;
+    // Built-ins first, then the user library in its own group
+    _renderPatternOptions() {
+        const patSel = this.root.querySelector(".rhythonika__pattern");
+        patSel.innerHTML = "";
+
+        const addOption = (parent, key) => {
+            const opt = document.createElement("option");
+            opt.value = key;
+            opt.textContent = this.transport.patterns[key].name;
+            parent.appendChild(opt);
+        };
+
+        Object.keys(this.transport.patterns)
+            .filter((key) => !this._isPresetKey(key))
+            .forEach((key) => addOption(patSel, key));
+
+        if (this.library.length) {
+            const group = document.createElement("optgroup");
+            group.label = "My Patterns";
+            this.library.forEach((preset) => addOption(group, this._presetKey(preset.id)));
+            patSel.appendChild(group);
+        }
+
+        patSel.value = this.transport.patternKey;
     }
 
     // ---------- UI Handlers ----------
     _bindUI() {
         this.btnStartStop  = this.root.querySelector(".rhythonika__startstop");
         this.inputBpm      = this.root.querySelector(".rhythonika__bpm");
-        this.selectSig     = this.root.querySelector(".rhythonika__timesig");
+        this.btnTap        = this.root.querySelector(".rhythonika__tap");
+        this.btnTapHalf    = this.root.querySelector(".rhythonika__tap-half");
+        this.btnTapDouble  = this.root.querySelector(".rhythonika__tap-double");
+        this.inputSig      = this.root.querySelector(".rhythonika__timesig");
         this.selectPattern = this.root.querySelector(".rhythonika__pattern");
         this.pillsWrap     = this.root.querySelector(".rhythonika__pills");
         this.legend        = this.root.querySelector(".rhythonika__legend");
+        this.inputSlots    = this.root.querySelector(".rhythonika__slots");
+        this.polyPanel     = this.root.querySelector(".rhythonika__poly");
+        this.inputPolyRatio = this.root.querySelector(".rhythonika__poly-ratio");
+        this.selectPolyMode = this.root.querySelector(".rhythonika__poly-mode");
+        this.polyLanesWrap  = this.root.querySelector(".rhythonika__poly-lanes");
+        this.layersPanel    = this.root.querySelector(".rhythonika__layers");
+
+        // Generator elements
+        this.generatorPanel = this.root.querySelector(".rhythonika__generator");
+        this.generatorReadout = this.root.querySelector(".rhythonika__gen-readout");
+        this.generatorInputs = {
+            type:      this.root.querySelector(".rhythonika__gen-type"),
+            hits:      this.root.querySelector(".rhythonika__gen-hits"),
+            steps:     this.root.querySelector(".rhythonika__gen-steps"),
+            family:    this.root.querySelector(".rhythonika__gen-family"),
+            rotation:  this.root.querySelector(".rhythonika__gen-rotation"),
+            fill:      this.root.querySelector(".rhythonika__gen-fill"),
+            evolve:    this.root.querySelector(".rhythonika__gen-evolve"),
+            everyBars: this.root.querySelector(".rhythonika__gen-every"),
+            seed:      this.root.querySelector(".rhythonika__gen-seed")
+        };
+
+        // Speed trainer elements
+        this.trainerPanel = this.root.querySelector(".rhythonika__trainer");
+        this.trainerReadout = this.root.querySelector(".rhythonika__trainer-readout");
+        this.trainerInputs = {
+            enabled:     this.root.querySelector(".rhythonika__trainer-enabled"),
+            mode:        this.root.querySelector(".rhythonika__trainer-mode"),
+            startBpm:    this.root.querySelector(".rhythonika__trainer-start"),
+            targetBpm:   this.root.querySelector(".rhythonika__trainer-target"),
+            stepBpm:     this.root.querySelector(".rhythonika__trainer-step"),
+            everyBars:   this.root.querySelector(".rhythonika__trainer-every"),
+            rampSeconds: this.root.querySelector(".rhythonika__trainer-seconds"),
+            onTarget:    this.root.querySelector(".rhythonika__trainer-on-target")
+        };
+
+        // Gap click elements
+        this.gapPanel = this.root.querySelector(".rhythonika__gap");
+        this.gapInputs = {
+            mode:           this.root.querySelector(".rhythonika__gap-mode"),
+            playBars:       this.root.querySelector(".rhythonika__gap-play"),
+            muteBars:       this.root.querySelector(".rhythonika__gap-mute"),
+            dropout:        this.root.querySelector(".rhythonika__gap-dropout"),
+            dropoutUnit:    this.root.querySelector(".rhythonika__gap-unit"),
+            hideWhenSilent: this.root.querySelector(".rhythonika__gap-hide")
+        };
+
+        // Routine elements
+        this.routinePanel = this.root.querySelector(".rhythonika__routine");
+        this.routineSections = this.root.querySelector(".rhythonika__routine-sections");
+        this.routineReadout = this.root.querySelector(".rhythonika__routine-readout");
+        this.routineInputs = {
+            enabled: this.root.querySelector(".rhythonika__routine-enabled"),
+            countIn: this.root.querySelector(".rhythonika__routine-count-in"),
+            loop:    this.root.querySelector(".rhythonika__routine-loop"),
+            text:    this.root.querySelector(".rhythonika__routine-text")
+        };
+
+        // Sync elements
+        this.syncPanel = this.root.querySelector(".rhythonika__sync");
+        this.syncReadout = this.root.querySelector(".rhythonika__sync-readout");
+        this.syncInputs = {
+            mode: this.root.querySelector(".rhythonika__sync-mode"),
+            midi: this.root.querySelector(".rhythonika__sync-midi")
+        };
+
+        // Groove elements
+        this.groovePanel = this.root.querySelector(".rhythonika__groove");
+        this.grooveSwingValue = this.root.querySelector(".rhythonika__groove-swing-value");
+        this.grooveInputs = {
+            template:    this.root.querySelector(".rhythonika__groove-template"),
+            swing:       this.root.querySelector(".rhythonika__groove-swing"),
+            swingUnit:   this.root.querySelector(".rhythonika__groove-unit"),
+            backbeatMs:  this.root.querySelector(".rhythonika__groove-backbeat"),
+            humanizeMs:  this.root.querySelector(".rhythonika__groove-hum-ms"),
+            humanizeVel: this.root.querySelector(".rhythonika__groove-hum-vel"),
+            seed:        this.root.querySelector(".rhythonika__groove-seed")
+        };
+
+        // Sound panel elements
+        this.soundsPanel = this.root.querySelector(".rhythonika__sounds");
+        this.selectKit   = this.root.querySelector(".rhythonika__kit");
+
+        // Display elements
+        this.displayPanel       = this.root.querySelector(".rhythonika__display");
+        this.selectVisualMode   = this.root.querySelector(".rhythonika__visual-mode");
+        this.inputVisualOffset  = this.root.querySelector(".rhythonika__visual-offset");
+        this.btnCalibrate       = this.root.querySelector(".rhythonika__calibrate");
+        this.visualReadout      = this.root.querySelector(".rhythonika__visual-readout");
+        this.ring               = this.root.querySelector(".rhythonika__ring");
+        this.ringBeat           = this.root.querySelector(".rhythonika__ring-beat");
+        this.flash              = this.root.querySelector(".rhythonika__flash");
+
+        // Play-along elements
+        this.playAlongPanel = this.root.querySelector(".rhythonika__playalong");
+        this.inputPaEnabled = this.root.querySelector(".rhythonika__pa-enabled");
+        this.btnPaPad       = this.root.querySelector(".rhythonika__pa-pad");
+        this.btnPaMidi      = this.root.querySelector(".rhythonika__pa-midi");
+        this.paNeedle       = this.root.querySelector(".rhythonika__pa-needle");
+        this.paReadout      = this.root.querySelector(".rhythonika__pa-readout");
+        this.paStats        = this.root.querySelector(".rhythonika__pa-stats");
+        this.paHistory      = this.root.querySelector(".rhythonika__pa-history");
+
+        // Export elements
+        this.inputExportBars = this.root.querySelector(".rhythonika__export-bars");
+        this.btnExportWav    = this.root.querySelector(".rhythonika__export-wav");
+        this.btnExportMidi   = this.root.querySelector(".rhythonika__export-midi");
+
+        // Library elements
+        this.inputPresetName = this.root.querySelector(".rhythonika__preset-name");
+        this.btnPresetSave   = this.root.querySelector(".rhythonika__preset-save");
+        this.btnPresetDelete = this.root.querySelector(".rhythonika__preset-delete");
+        this.btnPresetExport = this.root.querySelector(".rhythonika__preset-export");
+        this.btnPresetImport = this.root.querySelector(".rhythonika__preset-import");
+        this.inputPresetFile = this.root.querySelector(".rhythonika__preset-file");
+        this.btnShare        = this.root.querySelector(".rhythonika__share");
+
+        const preset = this._presetForKey(this.transport.patternKey);
+        if (preset) this.inputPresetName.value = preset.name;
 
         // Audio control elements
         this.selectSoundMode = this.root.querySelector(".rhythonika__sound-mode");
         this.inputVolume     = this.root.querySelector(".rhythonika__volume");
         this.statusText      = this.root.querySelector(".rhythonika__status-text");
 
-        this.btnStartStop.addEventListener("click", () => this.isPlaying ? this.stop() : this.start());
+        this.btnStartStop.addEventListener("click", () => this.transport.isPlaying ? this.stop() : this.start());
 
         this.inputBpm.addEventListener("change", () => {
-            this.bpm = Math.max(20, Math.min(400, Number(this.inputBpm.value) || 120));
-            localStorage.setItem("rhyth_bpm", String(this.bpm));
-            if (this.isPlaying) this._reprimeClock();
+            this._setBpm(Number(this.inputBpm.value) || 120);
         });
 
-        this.selectSig.addEventListener("change", () => {
-            const [n, d] = this.selectSig.value.split("/").map(Number);
-            this.timeSignature = { numerator: n, denominator: d };
-            localStorage.setItem("rhyth_timesig", JSON.stringify(this.timeSignature));
-            this.currentStep = 0;
+        // Tap tempo: pointerdown timestamps are closer to the actual tap than click
+        this.btnTap.addEventListener("pointerdown", (e) => this._tap(e.timeStamp));
+        this.btnTapHalf.addEventListener("click", () => this._snapTempo(0.5));
+        this.btnTapDouble.addEventListener("click", () => this._snapTempo(2));
+
+        this.inputSig.addEventListener("change", () => {
+            try {
+                this.transport.setTimeSignature(this.inputSig.value);
+            } catch (error) {
+                this._updateStatus(error.message);
+                this.inputSig.value = RhythonikaTransport.formatTimeSig(this.transport.timeSignature);
+                return;
+            }
+            this.inputSig.value = RhythonikaTransport.formatTimeSig(this.transport.timeSignature);
+            localStorage.setItem(this._storageKey("timesig"), JSON.stringify(this.transport.timeSignature));
             this._renderPills();
-            if (this.isPlaying) this._reprimeClock();
+            if (this.transport.isPlaying) this.transport.reprime();
         });
 
         this.selectPattern.addEventListener("change", () => {
-            this.selectedPatternKey = this.selectPattern.value;
-            localStorage.setItem("rhyth_pattern", this.selectedPatternKey);
-            this.currentStep = 0;
+            this.transport.setPattern(this.selectPattern.value);
+            localStorage.setItem(this._storageKey("pattern"), this.transport.patternKey);
+            const preset = this._presetForKey(this.transport.patternKey);
+            if (preset) this._applyPreset(preset);
+            this.inputPresetName.value = preset ? preset.name : "";
+            this._renderPills();
+            if (this.transport.isPlaying) this.transport.reprime();
+        });
+
+        // Generator handlers: every change regenerates and plays the generated pattern
+        this._syncGeneratorUI();
+        this.generatorPanel.addEventListener("change", (e) => this._readGeneratorUI(e.target));
+        this.root.querySelector(".rhythonika__gen-next").addEventListener("click", () => this._nextRotation());
+
+        // Speed trainer handlers
+        this._syncTrainerUI();
+        this.trainerPanel.addEventListener("change", () => this._readTrainerUI());
+
+        // Gap click handlers
+        this._syncGapUI();
+        this.gapPanel.addEventListener("change", () => this._readGapUI());
+
+        // Routine handlers; sections can be jumped to or looped while playing
+        this._syncRoutineUI();
+        this.routinePanel.addEventListener("change", () => this._readRoutineUI());
+        this.routineSections.addEventListener("click", (e) => {
+            const row = e.target.closest(".rhythonika__routine-section");
+            if (!row) return;
+            const index = Number(row.dataset.section);
+            if (e.target.closest(".rhythonika__routine-jump")) this.transport.jumpToSection(index);
+            if (e.target.closest(".rhythonika__routine-repeat")) {
+                this.transport.loopSection(this.transport.routineLoopSection === index ? null : index);
+            }
+            this._renderRoutineSections();
+            this._renderRoutineReadout();
+        });
+
+        // Sync handlers; what a follower hears from its leader shows in the readout
+        this._applySync();
+        if (this.syncSettings.midi !== "off") this._applySyncMidi();
+        this._syncSyncUI();
+        this.syncPanel.addEventListener("change", () => this._readSyncUI());
+        this.sync.subscribe((msg) => {
+            if (this.sync.mode !== "follow" || (msg.type !== "bar" && msg.type !== "start" && msg.type !== "stop")) return;
+            this.syncHeard = msg;
+            this._renderSyncReadout();
+        });
+
+        // Groove handlers: picking a template loads it; touching a template field makes it custom
+        this._syncGrooveUI();
+        this.groovePanel.addEventListener("input", (e) => {
+            if (e.target === this.grooveInputs.swing) this.grooveSwingValue.textContent = `${this.grooveInputs.swing.value}%`;
+        });
+        this.groovePanel.addEventListener("change", (e) => this._readGrooveUI(e.target));
+
+        // Sound panel: browse a kit, pick a sound per voice, audition it
+        this.selectKit.addEventListener("change", () => {
+            this.browseKit = this.selectKit.value;
+            localStorage.setItem(this._storageKey("kit"), this.browseKit);
+            this._renderSoundPanel();
+            this._renderPills(); // the poly editor offers the same sounds
+        });
+        this.soundsPanel.addEventListener("change", (e) => {
+            const row = e.target.closest(".rhythonika__sound-voice");
+            if (row && e.target.classList.contains("rhythonika__sound-pick")) {
+                this._setSounds({ [row.dataset.voice]: e.target.value });
+                this._renderPills();
+            }
+        });
+        this.soundsPanel.addEventListener("click", (e) => {
+            const row = e.target.closest(".rhythonika__sound-voice");
+            if (row && e.target.closest(".rhythonika__sound-play")) this._audition(row.dataset.voice);
+        });
+        this.kit.loadIndex().then(() => this._renderSoundPanel());
+
+        // Display handlers; the calibrate button doubles as the tap pad
+        this._syncVisualUI();
+        this.displayPanel.addEventListener("change", () => this._readVisualUI());
+        this.btnCalibrate.addEventListener("pointerdown", (e) => this._calibrateTap(e.timeStamp));
+
+        // Play-along handlers
+        this.inputPaEnabled.checked = this.playAlong.enabled;
+        this.inputPaEnabled.addEventListener("change", () => this._setPlayAlong(this.inputPaEnabled.checked));
+        this.btnPaPad.addEventListener("pointerdown", (e) => this._gradeTap(e.timeStamp));
+        this.btnPaMidi.addEventListener("click", () => this._connectMidi());
+        this.root.querySelector(".rhythonika__pa-csv").addEventListener("click", () => this._exportSessions("csv"));
+        this.root.querySelector(".rhythonika__pa-json").addEventListener("click", () => this._exportSessions("json"));
+        this.root.querySelector(".rhythonika__pa-clear").addEventListener("click", () => this._clearSessions());
+        this._renderPlayAlong();
+
+        // Export handlers
+        this.inputExportBars.addEventListener("change", () => {
+            this.exportBars = Math.max(1, Math.min(256, Math.round(Number(this.inputExportBars.value)) || 8));
+            this.inputExportBars.value = this.exportBars;
+        });
+        this.btnExportWav.addEventListener("click", () => this._exportWav());
+        this.btnExportMidi.addEventListener("click", () => this._exportMidi());
+
+        // Library handlers
+        this.btnPresetSave.addEventListener("click", () => this._savePreset(this.inputPresetName.value));
+        this.btnPresetDelete.addEventListener("click", () => this._deletePreset(this.transport.patternKey));
+        this.btnPresetExport.addEventListener("click", () => this._exportLibrary());
+        this.btnPresetImport.addEventListener("click", () => this.inputPresetFile.click());
+        this.btnShare.addEventListener("click", () => this._shareLink());
+        this.inputPresetFile.addEventListener("change", async () => {
+            const file = this.inputPresetFile.files[0];
+            this.inputPresetFile.value = "";
+            if (file) await this._importLibrary(file);
+        });
+
+        this.inputSlots.addEventListener("change", () => {
+            const pat = this.transport.getPattern();
+            if (!pat || pat.kind !== "grid") return;
+            this.transport.resizeGrid(Number(this.inputSlots.value) || pat.slotsPerBar);
+            this._renderPills();
+        });
+
+        // Poly editor: ratio, mode and per-lane sound/level
+        this.inputPolyRatio.addEventListener("change", () => {
+            try {
+                this.transport.setPolyRatio(this.inputPolyRatio.value);
+            } catch (error) {
+                this._updateStatus(error.message);
+            }
+            this._renderPills();
+        });
+
+        this.selectPolyMode.addEventListener("change", () => {
+            this.transport.setPolyMode(this.selectPolyMode.value);
             this._renderPills();
-            if (this.isPlaying) this._reprimeClock();
+        });
+
+        this.polyLanesWrap.addEventListener("input", (e) => {
+            const pat = this.transport.getPattern();
+            const row = e.target.closest(".rhythonika__poly-lane");
+            if (!pat || pat.kind !== "poly" || !row) return;
+            const lane = pat.lanes[Number(row.dataset.lane)];
+            if (!lane) return;
+            if (e.target.classList.contains("rhythonika__poly-sound")) this._setSounds({ [lane.voice]: e.target.value });
+            if (e.target.classList.contains("rhythonika__poly-level")) lane.level = parseFloat(e.target.value);
+        });
+
+        // Layer mixer: mute, level and sound per layer
+        const layerInput = (e) => {
+            const row = e.target.closest(".rhythonika__layer");
+            if (!row) return;
+            const index = Number(row.dataset.layer);
+            const layer = this.transport.getPattern().layers[index];
+            if (e.target.classList.contains("rhythonika__layer-mute")) this.transport.setLayer(index, { muted: !e.target.checked });
+            if (e.target.classList.contains("rhythonika__layer-level")) this.transport.setLayer(index, { level: e.target.value });
+            if (e.target.classList.contains("rhythonika__layer-sound")) this._setSounds({ [layer.voice]: e.target.value });
+            this._renderLayerRows();
+        };
+        this.layersPanel.addEventListener("input", layerInput);
+        this.layersPanel.addEventListener("change", layerInput);
+
+        // Step editing: click (or Enter/Space on a focused pill) cycles the slot state,
+        // Shift+click cycles backwards. The transport reads edits on its next pass.
+        this.pillsWrap.addEventListener("click", (e) => {
+            const pill = e.target.closest(".rhythonika__pill");
+            if (!pill) return;
+            this._cycleSlot(Number(pill.dataset.slot), e.shiftKey ? -1 : 1);
+        });
+
+        this.pillsWrap.addEventListener("keydown", (e) => {
+            const pill = e.target.closest(".rhythonika__pill");
+            if (!pill) return;
+            const pills = Array.from(this.pillsWrap.querySelectorAll(".rhythonika__pill"));
+            const idx = pills.indexOf(pill);
+            let next = null;
+            if (e.key === "ArrowRight") next = pills[(idx + 1) % pills.length];
+            if (e.key === "ArrowLeft") next = pills[(idx - 1 + pills.length) % pills.length];
+            if (e.key === "Home") next = pills[0];
+            if (e.key === "End") next = pills[pills.length - 1];
+            if (next) {
+                e.preventDefault();
+                next.focus();
+            }
         });
 
         // Audio control handlers
@@ -250,231 +1112,1687 @@ class Rhythonika {
         });
 
         this.inputVolume.addEventListener("input", () => {
+            // The kit forwards the volume to the engine as well
             if (this.audioEngine) {
-                this.audioEngine.setVolume(parseFloat(this.inputVolume.value));
+                this.kit.setVolume(parseFloat(this.inputVolume.value));
             }
         });
 
-        // Space toggles transport for quick UX
+        // Space toggles transport, T taps tempo, J/F tap along while grading. With several
+        // widgets on a page only one takes them: the focused one, or else the one used last.
+        const activate = () => { Rhythonika._active = this; };
+        this.root.addEventListener("pointerdown", activate);
+        this.root.addEventListener("focusin", activate);
+        if (!Rhythonika._active) activate();
         this._keyHandler = (e) => {
-            if (e.code === "Space" && e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT') {
+            if (!this._ownsShortcuts()) return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+            // Leave Space to focused pills so it edits the slot instead of toggling playback
+            if (e.code === "Space" && !(e.target.closest && e.target.closest(".rhythonika__pills"))) {
                 e.preventDefault();
-                this.isPlaying ? this.stop() : this.start();
+                this.transport.isPlaying ? this.stop() : this.start();
+            }
+            if (e.code === "KeyT" && !e.repeat && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                this._tap(e.timeStamp);
+            }
+            if ((e.code === "KeyJ" || e.code === "KeyF") && this.grading && !e.repeat) {
+                this._gradeTap(e.timeStamp);
             }
         };
         window.addEventListener("keydown", this._keyHandler);
+
+        // Coming back to the tab: pick the audio up again if the browser paused it meanwhile
+        this._visibilityHandler = () => {
+            if (document.visibilityState !== "visible" || !this.transport.isPlaying) return;
+            if (this.audioContext && this.audioContext.state !== "running") this._resumeAudio();
+            this._renderTimingStatus();
+        };
+        document.addEventListener("visibilitychange", this._visibilityHandler);
     }
 
-    // Initialize audio control UI state
-    _initAudioUI() {
-        if (this.audioEngine) {
-            this.selectSoundMode.value = this.audioEngine.getSoundMode();
-            this.inputVolume.value = this.audioEngine.getVolume();
-            this._updateStatus(this.audioEngine.getSoundMode() === 'samples' ? "Ready with samples" : "Ready with clicks");
+    // Single entry point for tempo changes from the UI
+    _setBpm(bpm) {
+        this.transport.setBpm(Math.round(bpm));
+        this.inputBpm.value = this.transport.bpm;
+        localStorage.setItem(this._storageKey("bpm"), String(this.transport.bpm));
+    }
+
+    // ---------- Generator ----------
+    // (Re)defines the "generated" pattern from this.generator
+    _generate() {
+        const g = this.generator;
+        const result = RhythonikaGenerator.generate(Object.assign({}, g, {
+            evolve: g.evolve ? { everyBars: g.everyBars, seed: g.seed, moves: 1 } : null
+        }));
+        this.transport.definePattern("generated", result.pattern);
+        return result;
+    }
+
+    _syncGeneratorUI() {
+        const g = this.generator;
+        Object.entries(this.generatorInputs).forEach(([key, el]) => {
+            if (el.type === "checkbox") el.checked = !!g[key];
+            else el.value = g[key];
+        });
+        this.generatorPanel.querySelectorAll(".rhythonika__gen-euclid-only").forEach((el) => { el.hidden = g.type !== "euclid"; });
+        this.generatorPanel.querySelectorAll(".rhythonika__gen-family-only").forEach((el) => { el.hidden = g.type !== "family"; });
+        this.generatorPanel.querySelectorAll(".rhythonika__gen-evolve-only").forEach((el) => { el.hidden = !g.evolve; });
+
+        const { hits, label } = this.generated;
+        const variants = RhythonikaGenerator.rotations(hits).length;
+        this.generatorReadout.textContent = `${label} • ${RhythonikaGenerator.toText(hits)} • ${variants} distinct rotation${variants === 1 ? "" : "s"}`;
+    }
+
+    _readGeneratorUI(changed) {
+        const num = (el, lo, hi, fallback) => {
+            const v = Math.round(Number(el.value));
+            return Number.isFinite(v) ? Math.max(lo, Math.min(hi, v)) : fallback;
+        };
+        const ins = this.generatorInputs;
+        const steps = num(ins.steps, 1, this.transport.maxSlots, 8);
+        this.generator = {
+            type: ins.type.value,
+            hits: num(ins.hits, 0, steps, 3),
+            steps,
+            family: ins.family.value,
+            rotation: num(ins.rotation, 0, this.transport.maxSlots - 1, 0),
+            fill: ins.fill.value,
+            evolve: ins.evolve.checked,
+            everyBars: num(ins.everyBars, 1, 64, 4),
+            seed: num(ins.seed, 1, 2 ** 31, 1)
+        };
+
+        // Picking a timeline also picks the meter it is counted in
+        const meterChanged = changed === ins.type || changed === ins.family;
+        this._useGenerated(meterChanged);
+    }
+
+    // Steps the rotation to the next one that gives a different pattern
+    _nextRotation() {
+        const base = RhythonikaGenerator.generate(Object.assign({}, this.generator, { rotation: 0 })).hits;
+        const rotations = RhythonikaGenerator.rotations(base);
+        const current = ((this.generator.rotation % base.length) + base.length) % base.length;
+        this.generator.rotation = rotations.find((r) => r > current) ?? rotations[0];
+        this._useGenerated(false);
+    }
+
+    _useGenerated(applyMeter) {
+        this.generated = this._generate();
+        localStorage.setItem(this._storageKey("generator"), JSON.stringify(this.generator));
+
+        if (applyMeter && this.generated.timeSignature) {
+            this.transport.setTimeSignature(this.generated.timeSignature);
+            localStorage.setItem(this._storageKey("timesig"), JSON.stringify(this.transport.timeSignature));
+            this.inputSig.value = RhythonikaTransport.formatTimeSig(this.transport.timeSignature);
         }
+
+        this.transport.setPattern("generated");
+        localStorage.setItem(this._storageKey("pattern"), this.transport.patternKey);
+        this.inputPresetName.value = "";
+        this._renderPatternOptions();
+        this._renderPills();
+        this._syncGeneratorUI();
+        if (this.transport.isPlaying) this.transport.reprime();
     }
 
-    // Update status text
-    _updateStatus(text) {
-        if (this.statusText) {
-            this.statusText.textContent = text;
+    // ---------- Speed trainer ----------
+    _syncTrainerUI() {
+        const t = this.transport.trainer;
+        Object.entries(this.trainerInputs).forEach(([key, el]) => {
+            if (el.type === "checkbox") el.checked = !!t[key];
+            else el.value = t[key];
+        });
+        this.trainerPanel.querySelectorAll(".rhythonika__trainer-step-only").forEach((el) => { el.hidden = t.mode !== "step"; });
+        this.trainerPanel.querySelectorAll(".rhythonika__trainer-ramp-only").forEach((el) => { el.hidden = t.mode !== "ramp"; });
+        // Two-forward-one-back is a step pattern; a ramp can only hold or loop
+        this.trainerInputs.onTarget.querySelector('option[value="zigzag"]').disabled = t.mode === "ramp";
+        this._renderTrainerReadout();
+    }
+
+    _readTrainerUI() {
+        const num = (el, lo, hi, fallback) => Math.max(lo, Math.min(hi, Number(el.value) || fallback));
+        const ins = this.trainerInputs;
+
+        // Settings take effect from the next bar
+        this.transport.setTrainer({
+            enabled: ins.enabled.checked,
+            mode: ins.mode.value,
+            startBpm: Math.round(num(ins.startBpm, 20, 400, 80)),
+            targetBpm: Math.round(num(ins.targetBpm, 20, 400, 120)),
+            stepBpm: Math.round(num(ins.stepBpm, 1, 50, 5)),
+            everyBars: Math.round(num(ins.everyBars, 1, 64, 4)),
+            rampSeconds: num(ins.rampSeconds, 5, 3600, 120),
+            onTarget: ins.onTarget.value
+        });
+        localStorage.setItem(this._storageKey("trainer"), JSON.stringify(this.transport.trainer));
+        this._syncTrainerUI();
+    }
+
+    _renderTrainerReadout() {
+        const t = this.transport.trainer;
+        if (!t.enabled) {
+            this.trainerReadout.textContent = "Off";
+            return;
+        }
+
+        const progress = this.transport.getTrainerProgress();
+        if (!progress) {
+            this.trainerReadout.textContent = `${t.startBpm} → ${t.targetBpm} BPM • starts with playback`;
+            return;
+        }
+
+        const head = `Now ${Math.round(progress.bpm)} → ${progress.targetBpm} BPM`;
+        if (t.mode === "ramp") {
+            const left = progress.secondsLeft;
+            this.trainerReadout.textContent = left > 0 ? `${head} • ${Math.ceil(left)} s left` : `${head} • at target`;
+        } else {
+            const barsLeft = progress.barsLeft;
+            this.trainerReadout.textContent = `${head} • next step in ${barsLeft} bar${barsLeft === 1 ? "" : "s"}`;
         }
     }
 
-    // ---------- Pills (visual pattern) ----------
-    _renderPills() {
-        const key = this.selectedPatternKey;
-        const pat = this.patterns[key];
-        this.pillsWrap.innerHTML = "";
+    // ---------- Gap click ----------
+    _syncGapUI() {
+        const g = this.transport.gap;
+        const ins = this.gapInputs;
+        ins.mode.value = g.mode;
+        ins.playBars.value = g.playBars;
+        ins.muteBars.value = g.muteBars;
+        ins.dropout.value = Math.round(g.dropout * 100);
+        ins.dropoutUnit.value = g.dropoutUnit;
+        ins.hideWhenSilent.checked = g.hideWhenSilent;
+        this.gapPanel.querySelectorAll(".rhythonika__gap-bars-only").forEach((el) => { el.hidden = g.mode !== "bars"; });
+        this.gapPanel.querySelectorAll(".rhythonika__gap-random-only").forEach((el) => { el.hidden = g.mode !== "random"; });
+        this.root.classList.toggle("rhythonika--hide-silent", g.hideWhenSilent);
+    }
 
-        if (!pat) return;
+    _readGapUI() {
+        const num = (el, lo, hi, fallback) => Math.max(lo, Math.min(hi, Math.round(Number(el.value)) || fallback));
+        const ins = this.gapInputs;
+        this.transport.setGap({
+            mode: ins.mode.value,
+            playBars: num(ins.playBars, 1, 64, 2),
+            muteBars: num(ins.muteBars, 1, 64, 2),
+            dropout: num(ins.dropout, 0, 100, 0) / 100,
+            dropoutUnit: ins.dropoutUnit.value,
+            hideWhenSilent: ins.hideWhenSilent.checked
+        });
+        localStorage.setItem(this._storageKey("gap"), JSON.stringify(this.transport.gap));
+        this._syncGapUI();
+    }
 
-        if (pat.kind === "grid") {
-            for (let i = 0; i < pat.slotsPerBar; i++) {
-                const pill = document.createElement("button");
-                pill.type = "button";
-                pill.className = "rhythonika__pill";
-                pill.setAttribute("aria-label", `slot ${i+1}`);
-                pill.disabled = true; // visual only (for now)
-                if (pat.accents[i]) pill.classList.add("rhythonika__pill--accent");
-                this.pillsWrap.appendChild(pill);
-            }
-            this.legend.textContent = `${pat.name} • ${pat.slotsPerBar} slots`;
+    // ---------- Sync ----------
+    // Leads or follows on the sync bus; a follower's tempo and meter changes show in the
+    // inputs but are not stored, so the instance's own setup survives the session
+    _applySync() {
+        const mode = this.syncSettings.mode;
+        this.syncHeard = null;
+        if (mode === "lead") {
+            this.sync.lead(this.transport);
+        } else if (mode === "follow") {
+            this.sync.follow(this.transport, {
+                start: () => this.start(),
+                stop: () => this.stop(),
+                tempo: (bpm) => {
+                    this.transport.setBpm(bpm);
+                    this.inputBpm.value = Math.round(this.transport.bpm);
+                },
+                meter: (ts) => {
+                    this.transport.setTimeSignature(ts);
+                    this.inputSig.value = RhythonikaTransport.formatTimeSig(this.transport.timeSignature);
+                    this._renderPills();
+                }
+            });
         } else {
-            // Polyrhythm legend only (no single grid pills)
-            // Shows a minimal dual-row hint
-            const rowA = document.createElement("div");
-            rowA.className = "rhythonika__polyrow";
-            const rowB = document.createElement("div");
-            rowB.className = "rhythonika__polyrow";
-
-            for (let i = 0; i < pat.gridA.count; i++) {
-                const dot = document.createElement("span");
-                dot.className = "rhythonika__polydot rhythonika__polydot--a";
-                rowA.appendChild(dot);
-            }
-            for (let j = 0; j < pat.gridB.count; j++) {
-                const dot = document.createElement("span");
-                dot.className = "rhythonika__polydot rhythonika__polydot--b";
-                rowB.appendChild(dot);
+            this.sync.release();
+        }
+    }
+
+    async _applySyncMidi() {
+        const midi = this.syncSettings.midi;
+        if (midi === "off") {
+            this.sync.disconnectMidi();
+        } else {
+            try {
+                await this.sync.connectMidi({ access: await this._midiAccess(), output: midi === "out", input: midi === "in" });
+            } catch (error) {
+                console.error('MIDI access failed:', error);
+                this._updateStatus(navigator.requestMIDIAccess ? "MIDI access was refused" : error.message);
             }
-            this.pillsWrap.appendChild(rowA);
-            this.pillsWrap.appendChild(rowB);
-            this.legend.textContent = `${pat.name} • A:${pat.gridA.count} vs B:${pat.gridB.count}`;
         }
+        this._renderSyncReadout();
     }
 
-    _highlightPill(stepIdx) {
-        const pills = this.pillsWrap.querySelectorAll(".rhythonika__pill");
-        pills.forEach((el, i) => el.classList.toggle("rhythonika__pill--active", i === (stepIdx % pills.length)));
+    _syncSyncUI() {
+        this.syncInputs.mode.value = this.syncSettings.mode;
+        this.syncInputs.midi.value = this.syncSettings.midi;
+        this._renderSyncReadout();
     }
 
-    // ---------- Audio scheduling ----------
-    async start() {
-        try {
-            // Load Soundonika if needed
-            if (!window.Soundonika) {
-                await this._loadSoundonika();
+    _readSyncUI() {
+        const before = this.syncSettings;
+        this.syncSettings = {
+            mode: this.syncInputs.mode.value,
+            midi: this.syncInputs.midi.value
+        };
+        localStorage.setItem(this._storageKey("sync"), JSON.stringify(this.syncSettings));
+        if (this.syncSettings.mode !== before.mode) {
+            this._applySync();
+            // A leader's start arrives without a user gesture; unlock audio while we have one
+            if (this.syncSettings.mode === "follow") {
+                this._initAudio().catch((error) => console.warn("Rhythonika: audio not ready for following:", error));
             }
+        }
+        if (this.syncSettings.midi !== before.midi) this._applySyncMidi();
+        this._syncSyncUI();
+    }
 
-            // Initialize audio context and engine if needed
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // "Following leader • 96 BPM • bar 12", "Leading • MIDI clock to 1 output"
+    _renderSyncReadout() {
+        const s = this.syncSettings;
+        const midi = this.sync.midi;
+        const parts = [];
+        if (s.mode === "lead") {
+            parts.push("Leading: other modules and tabs follow start, tempo, meter and the beat");
+        } else if (s.mode === "follow") {
+            const heard = this.syncHeard;
+            const from = heard && heard.source === "midi" ? "MIDI clock" : "leader";
+            if (!heard) parts.push(s.midi === "in" ? "Following: waiting for MIDI clock" : "Following: waiting for a leader");
+            else if (heard.type === "stop") parts.push(`Following ${from} • stopped`);
+            else parts.push(`Following ${from}`, `${Math.round(heard.bpm || this.transport.bpm)} BPM`, heard.bar ? `bar ${heard.bar}` : "started");
+        } else {
+            parts.push("Off");
+        }
 
-                // Create engine with local sample path
-                this.audioEngine = new window.Soundonika.Engine(this.audioContext, {
-                    sampleBasePath: this.samplePath
-                });
+        if (s.midi === "out" && midi) {
+            const outputs = midi.access.outputs.size;
+            parts.push(s.mode === "lead" ? `MIDI clock to ${outputs} output${outputs === 1 ? "" : "s"}` : "MIDI clock is sent while leading");
+        }
+        if (s.midi === "in" && midi && s.mode !== "follow") parts.push("MIDI clock in is used while following");
+        this.syncReadout.textContent = parts.join(" • ");
+    }
 
-                // Check if local samples are available
-                const hasLocalSamples = await this._checkLocalSamples();
+    // ---------- Routine ----------
+    // Hands the stored routine to the transport; a routine that doesn't parse is left off
+    _applyRoutine() {
+        const r = this.routineSettings;
+        this.routineError = null;
+        try {
+            const sections = r.enabled && r.text.trim() ? this.transport.parseRoutine(r.text) : null;
+            this.transport.setRoutine(sections && { sections, countIn: r.countIn, loop: r.loop });
+        } catch (error) {
+            this.routineError = error.message;
+            this.transport.setRoutine(null);
+        }
+    }
 
-                if (!hasLocalSamples) {
-                    // Force click mode if no local samples
-                    this.selectSoundMode.value = 'clicks';
-                    this.audioEngine.setSoundMode('clicks');
-                }
+    _syncRoutineUI() {
+        const r = this.routineSettings;
+        const ins = this.routineInputs;
+        ins.enabled.checked = r.enabled;
+        ins.countIn.value = r.countIn;
+        ins.loop.checked = r.loop;
+        ins.text.value = r.text;
+        this._renderRoutineSections();
+        this._renderRoutineReadout();
+    }
 
-                this._updateStatus("Initializing audio engine...");
+    _readRoutineUI() {
+        const ins = this.routineInputs;
+        this.routineSettings = {
+            enabled: ins.enabled.checked,
+            text: ins.text.value,
+            countIn: Math.max(0, Math.min(8, Math.round(Number(ins.countIn.value)) || 0)),
+            loop: ins.loop.checked
+        };
+        localStorage.setItem(this._storageKey("routine"), JSON.stringify(this.routineSettings));
+        this._applyRoutine();
+        if (this.routineError) this._updateStatus(this.routineError);
+        this._syncRoutineUI();
+    }
 
-                try {
-                    await this.audioEngine.init();
-                    this._initAudioUI();
-                } catch (error) {
-                    console.warn('Sample initialization failed, falling back to click sounds:', error);
-                    this.selectSoundMode.value = 'clicks';
-                    this.audioEngine.setSoundMode('clicks');
-                    await this.audioEngine.init();
-                    this._updateStatus("Using click sounds (sample load failed)");
-                }
-            }
+    _renderRoutineSections() {
+        const routine = this.transport.routine;
+        this.routineSections.innerHTML = "";
+        if (!routine) return;
+
+        const current = this.routineView ? this.routineView.index : -1;
+        routine.sections.forEach((section, i) => {
+            const looped = this.transport.routineLoopSection === i;
+            const row = document.createElement("li");
+            row.className = "rhythonika__routine-section";
+            row.classList.toggle("rhythonika__routine-section--current", i === current);
+            row.dataset.section = String(i);
+            row.innerHTML = `
+              <span class="rhythonika__routine-label"></span>
+              <button class="tonika-btn rhythonika__routine-jump" type="button" title="Go here at the next barline">Jump</button>
+              <button class="tonika-btn rhythonika__routine-repeat" type="button" aria-pressed="${looped}" title="Repeat this section">${looped ? "Looping" : "Loop"}</button>
+            `;
+            row.querySelector(".rhythonika__routine-label").textContent = this._sectionLabel(section);
+            this.routineSections.appendChild(row);
+        });
+    }
 
-            this.isPlaying = true;
-            this.root.classList.add("rhythonika--playing");
-            this.btnStartStop.textContent = "Stop";
-            this.currentStep = 0;
-            this._reprimeClock();
-            this._updateStatus("Playing");
+    // "Chorus • 8 bars 3+3+2/8 @ 110 ×2 • Accent 3+3+2"
+    _sectionLabel(section) {
+        const pattern = this.transport.patterns[section.pattern];
+        return [
+            section.name,
+            `${section.bars} bar${section.bars === 1 ? "" : "s"} ${RhythonikaTransport.formatTimeSig(section.timeSignature)}`
+                + (section.bpm ? ` @ ${section.bpm}` : "")
+                + (section.repeat > 1 ? ` ×${section.repeat}` : ""),
+            section.pattern !== "basic" && pattern ? pattern.name : ""
+        ].filter(Boolean).join(" • ");
+    }
 
-            // Visual metering (requestAnimationFrame loop)
-            const raf = () => {
-                if (!this.isPlaying) return;
-                // For grid patterns only (pills)
-                const pat = this.patterns[this.selectedPatternKey];
-                if (pat && pat.kind === "grid") this._highlightPill(this.currentStep);
-                this._rafId = requestAnimationFrame(raf);
-            };
-            this._rafId = requestAnimationFrame(raf);
+    _renderRoutineReadout() {
+        const routine = this.transport.routine;
+        if (this.routineError) {
+            this.routineReadout.textContent = this.routineError;
+            return;
+        }
+        if (!routine) {
+            this.routineReadout.textContent = "Off";
+            return;
+        }
 
-        } catch (error) {
-            console.error('Failed to start Rhythonika:', error);
-            this._updateStatus("Failed to start - check console");
+        const pos = this.routineView;
+        if (!pos) {
+            const bars = routine.sections.reduce((sum, section) => sum + section.bars * section.repeat, 0);
+            this.routineReadout.textContent = `${routine.sections.length} section(s) • ${bars} bars • starts with playback`;
             return;
         }
-    }
 
-    stop() {
-        this.isPlaying = false;
-        this.root.classList.remove("rhythonika--playing");
-        this.btnStartStop.textContent = "Start";
-        if (this.intervalId) clearInterval(this.intervalId);
-        if (this._rafId) cancelAnimationFrame(this._rafId);
+        const where = pos.countIn ? "Count-in" : `${pos.name} (${pos.index + 1}/${routine.sections.length})`;
+        this.routineReadout.textContent = [
+            where,
+            `bar ${pos.bar}/${pos.bars}`,
+            pos.passes > 1 ? `pass ${pos.pass}/${pos.passes}` : "",
+            this.routineBeat ? `beat ${this.routineBeat}` : "",
+            this.transport.routineLoopSection === pos.index ? "looping" : ""
+        ].filter(Boolean).join(" • ");
+    }
 
-        if (this.audioEngine) {
-            this._updateStatus(this.audioEngine.getSoundMode() === 'samples' ? "Ready with samples" : "Ready with clicks");
-        } else {
-            this._updateStatus("Ready");
+    // A routine bar is being heard: on a section's first bar, mirror its setup into the
+    // controls (without persisting it, so the user's own settings survive the song)
+    _showSection(item) {
+        const entering = !this.routineView || item.section.bar === 1;
+        this.routineView = item.section;
+        this.routineBeat = 0;
+        if (entering) {
+            this.inputBpm.value = Math.round(item.bpm);
+            this.inputSig.value = RhythonikaTransport.formatTimeSig(this.transport.timeSignature);
+            this.selectPattern.value = this.transport.patternKey;
+            this._renderPills();
+            this._renderRoutineSections();
         }
+        this._renderRoutineReadout();
     }
 
-    _reprimeClock() {
-        if (this.intervalId) clearInterval(this.intervalId);
-        this.nextNoteTime = this.audioContext.currentTime + 0.05; // small lead-in
-        this.intervalId = setInterval(() => this._scheduler(), this.lookahead);
+    // ---------- Groove ----------
+    _syncGrooveUI() {
+        const g = this.transport.groove;
+        Object.entries(this.grooveInputs).forEach(([key, el]) => { el.value = g[key]; });
+        this.grooveSwingValue.textContent = `${g.swing}%`;
     }
 
-    _scheduler() {
-        const now = this.audioContext.currentTime;
-        while (this.nextNoteTime < now + this.scheduleAheadTime) {
-            this._scheduleNext();
+    _readGrooveUI(changed) {
+        const num = (el, lo, hi, fallback) => {
+            const v = Number(el.value);
+            return Number.isFinite(v) ? Math.max(lo, Math.min(hi, v)) : fallback;
+        };
+        const ins = this.grooveInputs;
+        const template = this.transport.grooveTemplates[ins.template.value];
+        const shapeChanged = [ins.swing, ins.swingUnit, ins.backbeatMs].includes(changed);
+
+        const groove = {
+            template: shapeChanged ? "custom" : ins.template.value,
+            swing: num(ins.swing, 50, 75, 50),
+            swingUnit: ins.swingUnit.value,
+            backbeatMs: Math.round(num(ins.backbeatMs, -40, 40, 0)),
+            humanizeMs: Math.round(num(ins.humanizeMs, 0, 30, 0)),
+            humanizeVel: Math.round(num(ins.humanizeVel, 0, 50, 0)),
+            seed: Math.max(1, Math.round(num(ins.seed, 1, 2 ** 31, 1)))
+        };
+        if (changed === ins.template && template) {
+            Object.assign(groove, { swing: template.swing, swingUnit: template.swingUnit, backbeatMs: template.backbeatMs });
         }
+        this.transport.setGroove(groove);
+        localStorage.setItem(this._storageKey("groove"), JSON.stringify(this.transport.groove));
+        this._syncGrooveUI();
     }
 
-    _scheduleNext() {
-        const patKey = this.selectedPatternKey;
-        const pat = this.patterns[patKey];
-        const secondsPerBeat = 60.0 / this.bpm;
+    // ---------- Sounds ----------
+    // Single entry point for voice → sound changes: persists the mapping and loads new samples
+    _setSounds(map) {
+        this.transport.setSoundTypes(map);
+        localStorage.setItem(this._storageKey("sounds"), JSON.stringify(this.transport.soundTypes));
+        this.kit.preload(Object.values(map)).then(() => this._renderSoundPanel());
+        this._renderSoundPanel();
+    }
 
-        if (pat.kind === "grid") {
-            // Derive slot duration based on time signature
-            const beatsPerBar = this.timeSignature.numerator;
-            const slotDur = (beatsPerBar / pat.slotsPerBar) * secondsPerBeat;
+    _soundLabel(sound) {
+        return RhythonikaKit.isSample(sound) ? RhythonikaKit.sampleName(sound) : sound;
+    }
 
-            const isAccent = !!pat.accents[this.currentStep % pat.slotsPerBar];
+    // Built-ins, the browsed kit, and the current pick when it lives in another kit. Kit and
+    // sample names come from sample-index.json, so they only ever go in as text.
+    _fillSoundOptions(select, current) {
+        const kit = this.kit.kits().find((k) => k.id === this.browseKit);
+        select.innerHTML = "";
+
+        const addGroup = (label, options) => {
+            const group = document.createElement("optgroup");
+            group.label = label;
+            options.forEach(([value, text]) => {
+                const opt = document.createElement("option");
+                opt.value = value;
+                opt.textContent = text;
+                group.appendChild(opt);
+            });
+            select.appendChild(group);
+        };
 
-            // Use configured sound types
-            const soundType = this.soundTypes[isAccent ? 'accent' : 'normal'];
-            const velocity = isAccent ? 1.0 : 0.7;
+        addGroup("Built-in", this.soundChoices.map((name) => [name, name]));
+        if (kit) addGroup(kit.name, kit.samples.map((sample) => [sample.path, sample.name]));
+        const listed = this.soundChoices.includes(current) || (kit && kit.samples.some((sample) => sample.path === current));
+        if (current && !listed) addGroup("Current", [[current, this._soundLabel(current)]]);
+        select.value = current;
+    }
 
-            try {
-                this.audioEngine.scheduleSound(this.nextNoteTime, soundType, velocity);
-            } catch (error) {
-                console.error('Failed to schedule sound:', error);
-            }
+    _renderSoundPanel() {
+        const kits = this.kit.kits();
+        if (this.browseKit && !kits.some((k) => k.id === this.browseKit)) this.browseKit = "";
+        this.selectKit.innerHTML = `<option value="">Built-in sounds only</option>`;
+        kits.forEach((k) => {
+            const opt = document.createElement("option");
+            opt.value = k.id;
+            opt.textContent = `${k.name} (${k.samples.length})`;
+            this.selectKit.appendChild(opt);
+        });
+        this.selectKit.value = this.browseKit;
+
+        this.soundsPanel.querySelectorAll(".rhythonika__sound-voice").forEach((row) => {
+            const sound = this.transport.soundTypes[row.dataset.voice];
+            this._fillSoundOptions(row.querySelector(".rhythonika__sound-pick"), sound);
+
+            // Samples only load once audio is running, so "loading" means nothing before that
+            const status = this.kit.status(sound);
+            const statusText = row.querySelector(".rhythonika__sound-status");
+            statusText.textContent = status === "failed" ? "click (sample failed)"
+                : status === "loading" && this.audioContext ? "loading…" : "";
+            statusText.title = status === "failed" ? this.kit.failed.get(sound) : "";
+            row.classList.toggle("rhythonika__sound-voice--failed", status === "failed");
+        });
+    }
 
-            this.nextNoteTime += slotDur;
-            this.currentStep = (this.currentStep + 1) % pat.slotsPerBar;
+    async _audition(voice) {
+        try {
+            await this._initAudio();
+            await this.kit.audition(this.transport.soundTypes[voice]);
+            this._renderSoundPanel();
+        } catch (error) {
+            console.error('Audition failed:', error);
+            this._updateStatus("Audition failed - check console");
+        }
+    }
 
-        } else {
-            // Polyrhythm 3:2 over the same bar length
-            const beatsPerBar = this.timeSignature.numerator;
-            const barDur = beatsPerBar * secondsPerBeat;
+    // ---------- Visual sync ----------
+    _syncVisualUI() {
+        this.selectVisualMode.value = this.visual.mode;
+        this.inputVisualOffset.value = this.visual.offsetMs;
+        this.ring.hidden = this.visual.mode !== "ring";
+        this.flash.hidden = this.visual.mode !== "flash";
+        this._renderVisualReadout();
+    }
 
-            const lcmTicks = this._lcm(pat.gridA.count, pat.gridB.count);
-            const tickDur = barDur / lcmTicks;
-            const tick = this.currentStep % lcmTicks;
+    _readVisualUI() {
+        this.visual = {
+            mode: this.selectVisualMode.value,
+            offsetMs: Math.max(-250, Math.min(250, Math.round(Number(this.inputVisualOffset.value)) || 0))
+        };
+        localStorage.setItem(this._storageKey("visual"), JSON.stringify(this.visual));
+        this._syncVisualUI();
+    }
 
+    // Seconds the context reports between a scheduled time and the speaker
+    _outputLatency() {
+        const ctx = this.audioContext;
+        return ctx ? (ctx.outputLatency || ctx.baseLatency || 0) : 0;
+    }
+
+    // How far the display trails the audio clock so it lights what is being heard
+    _visualDelay() {
+        return this._outputLatency() + this.visual.offsetMs / 1000;
+    }
+
+    _renderVisualReadout() {
+        if (this.calibration) {
+            this.visualReadout.textContent = `Tap along with the click: ${this.calibration.taps.length}/${this.calibrationTaps}`;
+        } else if (this.audioContext) {
+            const total = Math.round(this._visualDelay() * 1000);
+            this.visualReadout.textContent = `Output latency ${Math.round(this._outputLatency() * 1000)} ms • display delay ${total} ms`;
+        } else {
+            this.visualReadout.textContent = "Latency is measured once audio starts";
+        }
+    }
+
+    // First press starts a run, then every press is a tap. Taps are compared with the
+    // nearest note on the scheduling clock; the median gap is the real delay, and what
+    // the context does not report becomes the offset.
+    _calibrateTap(stamp) {
+        if (!this.transport.isPlaying) {
+            this._updateStatus("Start playback, then calibrate by tapping along");
+            return;
+        }
+        if (!this.calibration) {
+            this.calibration = { taps: [], notes: [] };
+            this.btnCalibrate.textContent = "Tap";
+            this._renderVisualReadout();
+            return;
+        }
+
+        this.calibration.taps.push(this._audioTimeOf(stamp));
+        if (this.calibration.taps.length >= this.calibrationTaps) this._finishCalibration();
+        else this._renderVisualReadout();
+    }
+
+    _finishCalibration() {
+        const { taps, notes } = this.calibration;
+        this._cancelCalibration();
+
+        const gaps = taps
+            .map((tap) => notes.reduce((best, note) => (Math.abs(tap - note) < Math.abs(best) ? tap - note : best), Infinity))
+            .filter((gap) => Math.abs(gap) < 0.25)
+            .sort((x, y) => x - y);
+        if (gaps.length < this.calibrationTaps / 2) {
+            this._updateStatus("Calibration failed: taps didn't line up with the click");
+            return;
+        }
+
+        const median = gaps[Math.floor(gaps.length / 2)];
+        this.inputVisualOffset.value = Math.round((median - this._outputLatency()) * 1000);
+        this._readVisualUI();
+        this._updateStatus(`Calibrated: notes are heard ${Math.round(median * 1000)} ms after scheduling`);
+    }
+
+    _cancelCalibration() {
+        this.calibration = null;
+        this.btnCalibrate.textContent = "Calibrate";
+        this._renderVisualReadout();
+    }
+
+    // Event timestamps are on the performance clock; carry them over to the audio clock
+    _audioTimeOf(stamp) {
+        return this.audioContext.currentTime - Math.max(0, performance.now() - stamp) / 1000;
+    }
+
+    // Restart the ring or flash animation for a heard step
+    _pulse(item) {
+        const el = this.visual.mode === "ring" ? this.ring : this.visual.mode === "flash" ? this.flash : null;
+        if (!el || item.silent || !item.level) return;
+        const base = el === this.ring ? "rhythonika__ring" : "rhythonika__flash";
+        el.classList.remove(`${base}--pulse`, `${base}--strong`);
+        void el.offsetWidth; // reflow so the animation starts over
+        el.style.setProperty("--rhythonika-pulse", item.level);
+        el.classList.add(`${base}--pulse`);
+        el.classList.toggle(`${base}--strong`, item.level >= 0.9);
+    }
+
+    // ---------- Play-along ----------
+    _setPlayAlong(enabled) {
+        this.playAlong.enabled = enabled;
+        localStorage.setItem(this._storageKey("playalong"), JSON.stringify(this.playAlong));
+        if (enabled && this.transport.isPlaying && !this.grading) this._startSession();
+        if (!enabled && this.grading) this._endSession();
+        this._renderPlayAlong();
+    }
+
+    _startSession() {
+        this.grader.reset({
+            pattern: this.transport.getPattern().name,
+            timeSignature: RhythonikaTransport.formatTimeSig(this.transport.timeSignature),
+            bpm: Math.round(this.transport.bpm)
+        });
+        this.grading = true;
+        this.paReadout.textContent = "Tap along…";
+        this.paStats.innerHTML = "";
+        this._renderNeedle(0);
+    }
+
+    // Sessions without a single graded tap are not worth keeping
+    _endSession() {
+        this.grading = false;
+        const now = this.audioContext.currentTime - this._visualDelay();
+        const summary = this.grader.summary(now);
+        summary.durationSec = Math.round((Date.now() - this.grader.startedAt.getTime()) / 1000);
+        if (summary.hits) {
+            this.sessions.push(summary);
+            if (this.sessions.length > this.maxSessions) this.sessions.splice(0, this.sessions.length - this.maxSessions);
+            this._storeSessions();
+        }
+        this._renderSessionStats(summary);
+        this._renderPlayAlong();
+    }
+
+    // Taps are graded against when notes are heard, so latency calibration applies here too
+    _gradeTap(stamp) {
+        if (!this.grading) return;
+        const result = this.grader.tap(this._audioTimeOf(stamp) - this._visualDelay());
+        if (!result) {
+            this.paReadout.textContent = "Stray tap (no note nearby)";
+            return;
+        }
+
+        const ms = Math.round(result.offset * 1000);
+        this.paReadout.textContent = ms === 0 ? `On time • slot ${result.slot + 1}`
+            : `${Math.abs(ms)} ms ${ms < 0 ? "early" : "late"} • slot ${result.slot + 1}`;
+        this._renderNeedle(this.grader.trend());
+    }
+
+    // ±50 ms spans the meter
+    _renderNeedle(offset) {
+        const pos = Math.max(-1, Math.min(1, offset / 0.05));
+        this.paNeedle.style.left = `${50 + pos * 50}%`;
+        this.paNeedle.title = `${Math.round(offset * 1000)} ms`;
+    }
+
+    _renderSessionStats(summary) {
+        const sign = (v) => (v > 0 ? `+${v}` : String(v));
+        this.paReadout.textContent = summary.hits
+            ? `Mean ${sign(summary.meanMs)} ms • SD ${summary.sdMs} ms • ${summary.hits}/${summary.notes} hit, ${summary.missed} missed, ${summary.extras} stray`
+            : "No taps graded";
+        this.paStats.innerHTML = summary.slots.length ? `
+          <table class="rhythonika__pa-table">
+            <thead><tr><th>Slot</th><th>Accuracy</th><th>Mean</th><th>SD</th></tr></thead>
+            <tbody>
+              ${summary.slots.map((s) => `<tr><td>${s.slot + 1}</td><td>${s.accuracy}%</td><td>${s.hits ? `${sign(s.meanMs)} ms` : "–"}</td><td>${s.hits ? `${s.sdMs} ms` : "–"}</td></tr>`).join("")}
+            </tbody>
+          </table>` : "";
+    }
+
+    _renderPlayAlong() {
+        this.btnPaPad.disabled = !this.playAlong.enabled;
+        // Pattern names come from presets and shared links, so rows are built as text
+        const recent = this.sessions.slice(-5).reverse();
+        this.paHistory.textContent = this.sessions.length ? `${this.sessions.length} session(s) saved` : "No sessions yet";
+        recent.forEach((s) => {
+            const row = document.createElement("div");
+            row.textContent = `${new Date(s.startedAt).toLocaleDateString()} • ${s.pattern} @ ${s.bpm} • mean ${s.meanMs} ms • SD ${s.sdMs} ms`;
+            this.paHistory.appendChild(row);
+        });
+    }
+
+    _loadSessions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this._storageKey("sessions")) || "[]");
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn("Rhythonika: ignoring unreadable session history:", error);
+            return [];
+        }
+    }
+
+    _storeSessions() {
+        localStorage.setItem(this._storageKey("sessions"), JSON.stringify(this.sessions));
+    }
+
+    _exportSessions(type) {
+        if (!this.sessions.length) {
+            this._updateStatus("No sessions to export yet");
+            return;
+        }
+        if (type === "csv") {
+            this._download(new Blob([RhythonikaPlayAlong.toCsv(this.sessions)], { type: "text/csv" }), "rhythonika-sessions.csv");
+        } else {
+            const data = {
+                format: this.sessionsFormat,
+                version: this.sessionsVersion,
+                exportedAt: new Date().toISOString(),
+                sessions: this.sessions
+            };
+            this._download(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), "rhythonika-sessions.json");
+        }
+        this._updateStatus(`Exported ${this.sessions.length} session(s)`);
+    }
+
+    _clearSessions() {
+        this.sessions = [];
+        this._storeSessions();
+        this._renderPlayAlong();
+        this._updateStatus("Session history cleared");
+    }
+
+    // Asked for once; a refusal is forgotten so the next click can ask again
+    _midiAccess() {
+        if (!this._midiRequest) {
+            this._midiRequest = navigator.requestMIDIAccess
+                ? navigator.requestMIDIAccess()
+                : Promise.reject(new Error("Web MIDI is not supported in this browser"));
+            this._midiRequest.catch(() => {
+                this._midiRequest = null;
+            });
+        }
+        return this._midiRequest;
+    }
+
+    // Optional Web MIDI input: any note-on from any input counts as a tap
+    async _connectMidi() {
+        if (this.btnPaMidi.disabled) return;
+        let access;
+        try {
+            access = await this._midiAccess();
+        } catch (error) {
+            console.error('MIDI access failed:', error);
+            this._updateStatus(navigator.requestMIDIAccess ? "MIDI access was refused" : error.message);
+            return;
+        }
+
+        // Listeners rather than onmidimessage: the sync clock reads the same inputs
+        const onMessage = (e) => {
+            const [status, , velocity] = e.data;
+            if ((status & 0xF0) === 0x90 && velocity > 0) this._gradeTap(e.timeStamp);
+        };
+        const listen = () => access.inputs.forEach((input) => input.addEventListener("midimessage", onMessage));
+        listen();
+        access.addEventListener("statechange", listen);
+        this.btnPaMidi.textContent = `MIDI: ${access.inputs.size} input(s)`;
+        this.btnPaMidi.disabled = true;
+    }
+
+    // ---------- Tap tempo ----------
+    _tap(now = performance.now()) {
+        const last = this.tapTimes[this.tapTimes.length - 1];
+        if (last !== undefined && (now - last > this.tapResetMs || now <= last)) this.tapTimes = [];
+
+        this.tapTimes.push(now);
+        if (this.tapTimes.length > this.tapWindow + 1) this.tapTimes.shift();
+
+        this.btnTap.classList.add("rhythonika__tap--hit");
+        setTimeout(() => this.btnTap.classList.remove("rhythonika__tap--hit"), 80);
+
+        const bpm = this._estimateTapBpm(this.tapTimes);
+        if (bpm === null) {
+            this._updateStatus("Tap again…");
+            return;
+        }
+
+        this._setBpm(bpm);
+        this._updateStatus(`Tap: ${this.transport.bpm} BPM (½ ${Math.round(this.transport.bpm / 2)} • 2× ${Math.round(this.transport.bpm * 2)})`);
+    }
+
+    // Median-anchored estimate over the rolling window. A tap that lands too soon after the
+    // previous good one is treated as a stray and skipped, an interval close to twice the
+    // median counts as a missed tap, anything else outside the tolerance is dropped, and
+    // the survivors are averaged with more weight on recent taps.
+    _estimateTapBpm(times) {
+        if (times.length < 2) return null;
+
+        const raw = [];
+        for (let i = 1; i < times.length; i++) raw.push(times[i] - times[i - 1]);
+        const median = raw.slice().sort((a, b) => a - b)[Math.floor(raw.length / 2)];
+        const near = (v, target) => Math.abs(v - target) <= target * this.tapTolerance;
+
+        let anchor = times[0];
+        let sum = 0;
+        let weights = 0;
+        for (let i = 1; i < times.length; i++) {
+            const iv = times[i] - anchor;
+            if (iv < median * (1 - this.tapTolerance)) continue;
+            anchor = times[i];
+
+            let value = null;
+            if (near(iv, median)) value = iv;
+            else if (near(iv, median * 2)) value = iv / 2;
+            if (value === null) continue;
+
+            sum += value * i;
+            weights += i;
+        }
+
+        if (!weights) return null;
+        return 60000 / (sum / weights);
+    }
+
+    // Half/double-time snapping for when the tapped pulse is the wrong level
+    _snapTempo(factor) {
+        const target = this.transport.bpm * factor;
+        if (target < 20 || target > 400) {
+            this._updateStatus(`${Math.round(target)} BPM is out of range`);
+            return;
+        }
+        this._setBpm(target);
+        this._updateStatus(`${factor < 1 ? "Half" : "Double"} time: ${this.transport.bpm} BPM`);
+    }
+
+    // Initialize audio control UI state
+    _initAudioUI() {
+        if (this.audioEngine) {
+            this.selectSoundMode.value = this.audioEngine.getSoundMode();
+            this.inputVolume.value = this.audioEngine.getVolume();
+            this._updateStatus(this.audioEngine.getSoundMode() === 'samples' ? "Ready with samples" : "Ready with clicks");
+        }
+    }
+
+    // Update status text
+    _updateStatus(text) {
+        if (this.statusText) {
+            this.statusText.textContent = text;
+        }
+    }
+
+    // ---------- Pattern library ----------
+    _presetKey(id) {
+        return `user:${id}`;
+    }
+
+    _isPresetKey(key) {
+        return key.startsWith("user:");
+    }
+
+    _presetForKey(key) {
+        if (!this._isPresetKey(key)) return null;
+        return this.library.find((preset) => this._presetKey(preset.id) === key) || null;
+    }
+
+    // The transport gets its own copy: pill edits change what plays, not the saved preset
+    _registerPreset(preset) {
+        this.transport.definePattern(this._presetKey(preset.id), JSON.parse(JSON.stringify(preset.pattern)));
+    }
+
+    // Presets are checked one by one: a bad entry is skipped but kept in libraryRejected, so the
+    // next save writes it back instead of dropping it. Storage that isn't a list at all is moved
+    // to "library-unreadable" before anything can overwrite it.
+    _loadLibrary() {
+        const raw = localStorage.getItem(this._storageKey("library"));
+        let stored = [];
+        try {
+            stored = JSON.parse(raw || "[]");
+        } catch (error) {
+            stored = null;
+        }
+        if (!Array.isArray(stored)) {
+            console.warn("Rhythonika: pattern library unreadable, kept under library-unreadable");
+            localStorage.setItem(this._storageKey("library-unreadable"), raw);
+            localStorage.removeItem(this._storageKey("library"));
+            return [];
+        }
+
+        const library = [];
+        stored.forEach((preset, i) => {
             try {
-                // If tick aligns with A grid
-                if (tick % (lcmTicks / pat.gridA.count) === 0) {
-                    this.audioEngine.scheduleSound(this.nextNoteTime, this.soundTypes.polyA, pat.gridA.gain / 0.28);
+                library.push(this._validatePreset(preset, `stored preset ${i+1}`));
+            } catch (error) {
+                console.warn(`Rhythonika: skipping ${error.message}`);
+                this.libraryRejected.push(preset);
+            }
+        });
+        return library;
+    }
+
+    _storeLibrary() {
+        localStorage.setItem(this._storageKey("library"), JSON.stringify(this.library.concat(this.libraryRejected)));
+    }
+
+    // Returns a clean copy of the preset or throws with a message fit for the status line
+    _validatePreset(raw, label) {
+        const fail = (msg) => { throw new Error(`${label}: ${msg}`); };
+        const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+
+        if (!raw || typeof raw !== "object") fail("not an object");
+        const name = typeof raw.name === "string" ? raw.name.trim() : "";
+        if (!name || name.length > 60) fail("name must be 1–60 characters");
+        if (typeof raw.bpm !== "number" || raw.bpm < 20 || raw.bpm > 400) fail("bpm must be 20–400");
+
+        let timeSignature;
+        try {
+            const ts = raw.timeSignature || {};
+            timeSignature = RhythonikaTransport.parseTimeSig(`${Array.isArray(ts.groups) ? ts.groups.join("+") : ts.numerator}/${ts.denominator}`);
+            if (timeSignature.numerator !== ts.numerator) throw new Error("groups must add up to the numerator");
+        } catch (error) {
+            fail(`time signature: ${error.message}`);
+        }
+
+        const soundTypes = raw.soundTypes || {};
+        if (typeof soundTypes !== "object" || Object.values(soundTypes).some((v) => typeof v !== "string")) {
+            fail("soundTypes must map voices to sound names");
+        }
+
+        const pat = raw.pattern || {};
+        let pattern;
+        if (pat.kind === "grid") {
+            if (!isInt(pat.slotsPerBar, 1, this.transport.maxSlots)) fail(`slotsPerBar must be 1–${this.transport.maxSlots}`);
+            if (!Array.isArray(pat.accents) || pat.accents.length !== pat.slotsPerBar) fail("accents must have one entry per slot");
+            if (pat.accents.some((v) => !this.transport.slotCycle.includes(v))) fail("accents may only contain 0, 1, 2 or 3");
+            pattern = { name, kind: "grid", slotsPerBar: pat.slotsPerBar, accents: pat.accents.slice() };
+            if (pat.evolve) {
+                const ev = pat.evolve;
+                if (!isInt(ev.everyBars, 1, 64)) fail("evolve.everyBars must be 1–64");
+                if (!isInt(ev.seed, 1, 2 ** 31)) fail("evolve.seed must be a positive whole number");
+                if (ev.moves !== undefined && !isInt(ev.moves, 1, 4)) fail("evolve.moves must be 1–4");
+                pattern.evolve = { everyBars: ev.everyBars, seed: ev.seed, moves: ev.moves || 1 };
+            }
+        } else if (pat.kind === "poly") {
+            // Files written before lanes existed carry gridA/gridB instead
+            const lanes = Array.isArray(pat.lanes) ? pat.lanes
+                : [pat.gridA && { count: pat.gridA.count, voice: "polyA" }, pat.gridB && { count: pat.gridB.count, voice: "polyB" }];
+            if (lanes.length < 2 || lanes.length > this.transport.polyVoices.length) fail(`poly patterns need 2–${this.transport.polyVoices.length} lanes`);
+            lanes.forEach((lane, i) => {
+                if (!lane || !isInt(lane.count, 1, this.transport.maxPolyCount)) fail(`lane ${i+1} count must be 1–${this.transport.maxPolyCount}`);
+                if (lane.voice !== undefined && !this.transport.polyVoices.includes(lane.voice)) fail(`lane ${i+1} voice must be one of ${this.transport.polyVoices.join(", ")}`);
+                if (lane.level !== undefined && !(typeof lane.level === "number" && lane.level >= 0 && lane.level <= 1)) fail(`lane ${i+1} level must be 0–1`);
+            });
+            if (pat.mode !== undefined && pat.mode !== "ratio" && pat.mode !== "meter") fail(`unknown poly mode "${pat.mode}"`);
+            pattern = {
+                name,
+                kind: "poly",
+                mode: pat.mode || "ratio",
+                lanes: lanes.map((lane, i) => ({
+                    count: lane.count,
+                    voice: lane.voice || this.transport.polyVoices[i],
+                    level: lane.level ?? 1.0
+                }))
+            };
+        } else if (pat.kind === "layers") {
+            const voices = this.transport.layerVoices;
+            const divisions = Object.keys(voices).map(Number);
+            const max = divisions.length;
+            if (!Array.isArray(pat.layers) || !pat.layers.length || pat.layers.length > max) fail(`layers patterns need 1–${max} layers`);
+            pat.layers.forEach((layer, i) => {
+                if (!layer || !divisions.includes(layer.division)) fail(`layer ${i+1} division must be one of ${divisions.join(", ")}`);
+                if (pat.layers.findIndex((other) => other && other.division === layer.division) !== i) fail(`layer ${i+1} repeats division ${layer.division}`);
+                if (layer.level !== undefined && !(typeof layer.level === "number" && layer.level >= 0 && layer.level <= 1)) fail(`layer ${i+1} level must be 0–1`);
+                if (layer.muted !== undefined && typeof layer.muted !== "boolean") fail(`layer ${i+1} muted must be true or false`);
+            });
+            pattern = {
+                name,
+                kind: "layers",
+                layers: pat.layers.map((layer) => ({
+                    division: layer.division,
+                    voice: voices[layer.division],
+                    level: layer.level ?? 1.0,
+                    muted: !!layer.muted
+                }))
+            };
+        } else {
+            fail(`unknown pattern kind "${pat.kind}"`);
+        }
+
+        return {
+            id: typeof raw.id === "string" && raw.id ? raw.id : this._newPresetId(),
+            name,
+            bpm: Math.round(raw.bpm),
+            timeSignature,
+            soundTypes: { ...soundTypes },
+            pattern
+        };
+    }
+
+    _newPresetId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // Snapshot the current pattern, tempo, meter and sound mapping under `name`
+    _savePreset(rawName) {
+        const name = String(rawName || "").trim();
+        if (!name) {
+            this._updateStatus("Enter a preset name first");
+            return;
+        }
+
+        const existing = this.library.find((preset) => preset.name === name);
+        try {
+            const preset = this._validatePreset({
+                id: existing ? existing.id : undefined,
+                name,
+                bpm: this.transport.bpm,
+                timeSignature: this.transport.timeSignature,
+                soundTypes: this.transport.soundTypes,
+                pattern: JSON.parse(JSON.stringify(this.transport.getPattern()))
+            }, name);
+
+            if (existing) this.library[this.library.indexOf(existing)] = preset;
+            else this.library.push(preset);
+            this._registerPreset(preset);
+            this._storeLibrary();
+
+            this.transport.setPattern(this._presetKey(preset.id));
+            localStorage.setItem(this._storageKey("pattern"), this.transport.patternKey);
+            this._renderPatternOptions();
+            this._renderPills();
+            this._updateStatus(`Saved "${name}"`);
+        } catch (error) {
+            this._updateStatus(`Save failed: ${error.message}`);
+        }
+    }
+
+    _deletePreset(key) {
+        const preset = this._presetForKey(key);
+        if (!preset) {
+            this._updateStatus("Built-in patterns can't be deleted");
+            return;
+        }
+
+        this.library = this.library.filter((p) => p !== preset);
+        this.transport.removePattern(key);
+        this._storeLibrary();
+
+        localStorage.setItem(this._storageKey("pattern"), this.transport.patternKey);
+        this.inputPresetName.value = "";
+        this._renderPatternOptions();
+        this._renderPills();
+        this._updateStatus(`Deleted "${preset.name}"`);
+    }
+
+    _applyPreset(preset) {
+        this.transport.setBpm(preset.bpm);
+        this.inputBpm.value = this.transport.bpm;
+        localStorage.setItem(this._storageKey("bpm"), String(this.transport.bpm));
+        this.tapTimes = [];
+
+        this.transport.setTimeSignature(preset.timeSignature);
+        localStorage.setItem(this._storageKey("timesig"), JSON.stringify(this.transport.timeSignature));
+        this.inputSig.value = RhythonikaTransport.formatTimeSig(this.transport.timeSignature);
+
+        this._setSounds(preset.soundTypes);
+    }
+
+    _exportLibrary() {
+        if (!this.library.length) {
+            this._updateStatus("Nothing to export yet");
+            return;
+        }
+
+        const data = {
+            format: this.libraryFormat,
+            version: this.libraryVersion,
+            exportedAt: new Date().toISOString(),
+            presets: this.library
+        };
+        this._download(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), "rhythonika-patterns.json");
+        this._updateStatus(`Exported ${this.library.length} preset(s)`);
+    }
+
+    // Imported presets replace same-named ones and otherwise append
+    async _importLibrary(file) {
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error("file is not valid JSON");
+            }
+            if (!data || data.format !== this.libraryFormat) throw new Error("not a Rhythonika pattern file");
+            if (!Number.isInteger(data.version) || data.version > this.libraryVersion) {
+                throw new Error(`unsupported version ${data.version}`);
+            }
+            if (!Array.isArray(data.presets)) throw new Error("missing presets list");
+
+            // Validate everything before touching the library
+            const incoming = data.presets.map((raw, i) => this._validatePreset({ ...raw, id: undefined }, `preset ${i+1}`));
+
+            incoming.forEach((preset) => {
+                const existing = this.library.find((p) => p.name === preset.name);
+                if (existing) {
+                    preset.id = existing.id;
+                    this.library[this.library.indexOf(existing)] = preset;
+                } else {
+                    this.library.push(preset);
                 }
-                // If tick aligns with B grid
-                if (tick % (lcmTicks / pat.gridB.count) === 0) {
-                    this.audioEngine.scheduleSound(this.nextNoteTime, this.soundTypes.polyB, pat.gridB.gain / 0.28);
+                this._registerPreset(preset);
+            });
+            this._storeLibrary();
+            this._renderPatternOptions();
+            this._renderPills();
+            this._updateStatus(`Imported ${incoming.length} preset(s)`);
+        } catch (error) {
+            this._updateStatus(`Import failed: ${error.message}`);
+        }
+    }
+
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ---------- Export (WAV / MIDI) ----------
+    // transport.collect() runs the live step generator from a fresh cursor, so exports
+    // carry the same groove, trainer tempo changes and gaps as playback.
+    _exportName(ext) {
+        const pat = this.transport.getPattern();
+        const slug = pat.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+        return `rhythonika-${slug || "pattern"}-${Math.round(this.transport.bpm)}bpm.${ext}`;
+    }
+
+    // Renders faster than real time through an OfflineAudioContext with its own engine
+    async _exportWav() {
+        try {
+            this._updateStatus("Rendering WAV...");
+            const Soundonika = await this._loadSoundonika();
+            const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            if (!OfflineCtx) throw new Error("OfflineAudioContext not supported");
+
+            // Slow tempos and long bars can ask for more audio than the render can hold;
+            // export the bars that fit under the cap instead
+            let bars = this.exportBars;
+            let take = this.transport.collect(bars);
+            while (take.duration > this.exportMaxSeconds && bars > 1) {
+                bars = Math.max(1, Math.min(bars - 1, Math.floor((bars * this.exportMaxSeconds) / take.duration)));
+                take = this.transport.collect(bars);
+            }
+            const limit = Math.round(this.exportMaxSeconds / 60);
+            if (take.duration > this.exportMaxSeconds) throw new Error(`one bar is longer than the ${limit} minute limit`);
+            const { hits, duration } = take;
+            if (bars < this.exportBars) this._updateStatus(`Rendering WAV: ${bars} of ${this.exportBars} bars fit in ${limit} minutes...`);
+            const sampleRate = 44100;
+            const tail = 1.0; // let the last hit ring out
+            const ctx = new OfflineCtx(2, Math.ceil((duration + tail) * sampleRate), sampleRate);
+
+            const engine = new Soundonika.Engine(ctx, { sampleBasePath: this.samplePath });
+            engine.setSoundMode(this.selectSoundMode.value);
+            engine.setVolume(parseFloat(this.inputVolume.value));
+            try {
+                await engine.init();
+            } catch (error) {
+                console.warn('Offline sample initialization failed, rendering clicks:', error);
+                engine.setSoundMode('clicks');
+                await engine.init();
+            }
+
+            // The offline kit decodes the mapped samples again for this context
+            const kit = new RhythonikaKit({ basePath: this.samplePath });
+            kit.setContext(ctx, engine);
+            kit.setVolume(parseFloat(this.inputVolume.value));
+            await kit.preload(Object.values(this.transport.soundTypes));
+
+            hits.forEach((hit) => kit.scheduleSound(hit.time, this.transport.soundTypes[hit.voice], hit.velocity));
+            const buffer = await ctx.startRendering();
+
+            this._download(this._encodeWav(buffer), this._exportName("wav"));
+            this._updateStatus(bars < this.exportBars
+                ? `Exported ${bars} of ${this.exportBars} bars as WAV (capped at ${limit} minutes)`
+                : `Exported ${bars} bar(s) as WAV`);
+        } catch (error) {
+            console.error('WAV export failed:', error);
+            this._updateStatus(`WAV export failed: ${error.message}`);
+        }
+    }
+
+    // 16-bit PCM, interleaved
+    _encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const frames = buffer.length;
+        const bytes = frames * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + bytes));
+        const writeStr = (offset, str) => [...str].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+        writeStr(0, "RIFF");
+        view.setUint32(4, 36 + bytes, true);
+        writeStr(8, "WAVE");
+        writeStr(12, "fmt ");
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeStr(36, "data");
+        view.setUint32(40, bytes, true);
+
+        const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const v = Math.max(-1, Math.min(1, data[c][i]));
+                view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+        return new Blob([view], { type: "audio/wav" });
+    }
+
+    // Standard MIDI File with GM drum notes (RhythonikaTransport.toMidi)
+    _exportMidi() {
+        try {
+            const MidiWriter = window.MidiWriter;
+            if (!MidiWriter) throw new Error("midi-writer-js is not loaded");
+
+            const file = this.transport.toMidi(MidiWriter, this.exportBars, (sound) => this._gmNoteFor(sound));
+            this._download(new Blob([file], { type: "audio/midi" }), this._exportName("mid"));
+            this._updateStatus(`Exported ${this.exportBars} bar(s) as MIDI`);
+        } catch (error) {
+            console.error('MIDI export failed:', error);
+            this._updateStatus(`MIDI export failed: ${error.message}`);
+        }
+    }
+
+    _gmNoteFor(sound) {
+        if (!RhythonikaKit.isSample(sound)) return this.gmDrumNotes[sound] || this.gmFallbackNote;
+        const tokens = RhythonikaKit.sampleName(sound).toLowerCase().split(/[^a-z0-9]+/);
+        const match = this.gmSampleNotes.find(([re]) => tokens.some((token) => re.test(token)));
+        return match ? match[1] : this.gmFallbackNote;
+    }
+
+    // ---------- Pills (visual pattern) ----------
+    _renderPills() {
+        const key = this.transport.patternKey;
+        const pat = this.transport.patterns[key];
+        this.pillsWrap.innerHTML = "";
+
+        if (!pat) return;
+
+        this.inputSlots.disabled = pat.kind !== "grid";
+        this.polyPanel.hidden = pat.kind !== "poly";
+        this.layersPanel.hidden = pat.kind !== "layers";
+        this.pillsWrap.classList.toggle("rhythonika__pills--lanes", pat.kind !== "grid");
+
+        if (pat.kind === "grid") {
+            for (let i = 0; i < pat.slotsPerBar; i++) {
+                const pill = document.createElement("button");
+                pill.type = "button";
+                pill.className = "rhythonika__pill";
+                pill.dataset.slot = String(i);
+                this._applyPillState(pill, i, pat.accents[i]);
+                this.pillsWrap.appendChild(pill);
+            }
+            this.inputSlots.value = pat.slotsPerBar;
+            this.legend.textContent = `${pat.name} • ${RhythonikaTransport.formatTimeSig(this.transport.timeSignature)} • ${pat.slotsPerBar} slots • click to edit`;
+        } else if (pat.kind === "layers") {
+            this._renderLayers(pat);
+        } else {
+            // One row of dots per lane, highlighted by _highlightPoly()
+            const letters = "abc";
+            pat.lanes.forEach((lane, l) => {
+                const row = document.createElement("div");
+                row.className = "rhythonika__polyrow";
+                row.setAttribute("aria-label", `lane ${l+1}: ${lane.count}`);
+                for (let i = 0; i < lane.count; i++) {
+                    const dot = document.createElement("span");
+                    dot.className = `rhythonika__polydot rhythonika__polydot--${letters[l]}`;
+                    row.appendChild(dot);
                 }
+                this.pillsWrap.appendChild(row);
+            });
+
+            const ratio = pat.lanes.map((lane) => lane.count).join(":");
+            const cycle = RhythonikaTransport.lcmAll(pat.lanes.map((lane) => lane.count));
+            this.legend.textContent = pat.mode === "meter"
+                ? `${pat.name} • ${ratio} polymeter • realigns every ${cycle} pulses`
+                : `${pat.name} • ${ratio} polyrhythm • ${RhythonikaTransport.formatTimeSig(this.transport.timeSignature)}`;
+            this._renderPolyEditor(pat);
+        }
+    }
+
+    _renderPolyEditor(pat) {
+        this.inputPolyRatio.value = pat.lanes.map((lane) => lane.count).join(":");
+        this.selectPolyMode.value = pat.mode;
+        this.polyLanesWrap.innerHTML = "";
+
+        const letters = "abc";
+        pat.lanes.forEach((lane, l) => {
+            const row = document.createElement("div");
+            row.className = "rhythonika__poly-lane";
+            row.dataset.lane = String(l);
+            row.innerHTML = `
+              <span class="rhythonika__poly-swatch rhythonika__polydot rhythonika__polydot--${letters[l]}"></span>
+              <span class="rhythonika__label">Lane ${l+1} (${lane.count})</span>
+              <select class="tonika-select rhythonika__poly-sound" aria-label="Lane ${l+1} sound"></select>
+              <input class="tonika-input rhythonika__poly-level" type="range" min="0" max="1" step="0.05" aria-label="Lane ${l+1} level" />
+            `;
+            this._fillSoundOptions(row.querySelector(".rhythonika__poly-sound"), this.transport.soundTypes[lane.voice]);
+            row.querySelector(".rhythonika__poly-level").value = lane.level;
+            this.polyLanesWrap.appendChild(row);
+        });
+    }
+
+    // One row of dots per layer, one dot per note in the bar. Subdivision dots on the beat are
+    // drawn faint: the beat layer plays those.
+    _renderLayers(pat) {
+        const beats = RhythonikaTransport.meterGroups(this.transport.timeSignature).length;
+        pat.layers.forEach((layer, l) => {
+            const row = document.createElement("div");
+            row.className = "rhythonika__polyrow rhythonika__layerrow";
+            row.dataset.layer = String(l);
+            row.setAttribute("aria-label", `${this._layerLabel(layer.division)} layer`);
+            for (let i = 0; i < beats * layer.division; i++) {
+                const dot = document.createElement("span");
+                dot.className = "rhythonika__polydot";
+                if (layer.division === 1) dot.classList.add("rhythonika__polydot--a");
+                else if (i % layer.division === 0) dot.classList.add("rhythonika__polydot--covered");
+                row.appendChild(dot);
+            }
+            this.pillsWrap.appendChild(row);
+        });
+
+        this.layersPanel.innerHTML = "";
+        pat.layers.forEach((layer, l) => {
+            const label = this._layerLabel(layer.division);
+            const row = document.createElement("div");
+            row.className = "rhythonika__layer";
+            row.dataset.layer = String(l);
+            row.innerHTML = `
+              <label class="rhythonika__check">
+                <input type="checkbox" class="rhythonika__layer-mute" aria-label="Play ${label}" /> ${label}
+              </label>
+              <input class="tonika-input rhythonika__layer-level" type="range" min="0" max="1" step="0.05" aria-label="${label} level" />
+              <select class="tonika-select rhythonika__layer-sound" aria-label="${label} sound"></select>
+            `;
+            this._fillSoundOptions(row.querySelector(".rhythonika__layer-sound"), this.transport.soundTypes[layer.voice]);
+            this.layersPanel.appendChild(row);
+        });
+        this._renderLayerRows();
+    }
+
+    // Mute and level state (and the legend), kept in step with the transport after every edit
+    _renderLayerRows() {
+        const pat = this.transport.getPattern();
+        if (!pat || pat.kind !== "layers") return;
+        pat.layers.forEach((layer, l) => {
+            const row = this.layersPanel.querySelector(`.rhythonika__layer[data-layer="${l}"]`);
+            const dots = this.pillsWrap.querySelector(`.rhythonika__layerrow[data-layer="${l}"]`);
+            if (row) {
+                row.querySelector(".rhythonika__layer-mute").checked = !layer.muted;
+                row.querySelector(".rhythonika__layer-level").value = layer.level;
+            }
+            if (dots) {
+                dots.classList.toggle("rhythonika__layerrow--muted", layer.muted || layer.level <= 0);
+                dots.style.setProperty("--rhythonika-level", String(layer.level));
+            }
+        });
+
+        const heard = pat.layers.filter((layer) => !layer.muted && layer.level > 0).map((layer) => this._layerLabel(layer.division));
+        this.legend.textContent = `${pat.name} • ${RhythonikaTransport.formatTimeSig(this.transport.timeSignature)} • ${heard.join(" + ") || "all muted"}`;
+    }
+
+    // Named by the note a layer plays: ÷2 of a quarter is 8ths, ÷3 of a dotted quarter (6/8)
+    // is 8ths too. Beats of mixed length (2+2+3/8) or odd notes keep "Beat ÷N".
+    _layerLabel(division) {
+        if (division === 1) return "Beat";
+        const ts = this.transport.timeSignature;
+        const beats = new Set(RhythonikaTransport.meterGroups(ts));
+        if (beats.size !== 1) return `Beat ÷${division}`;
+        const quarters = ([...beats][0] * 4) / ts.denominator / division;
+        const names = [[1, "Quarters"], [0.75, "Dotted 8ths"], [0.5, "8ths"], [1 / 3, "Triplets"], [0.25, "16ths"], [0.2, "Quintuplets"]];
+        const match = names.find(([length]) => Math.abs(length - quarters) < 1e-9);
+        return match ? match[1] : `Beat ÷${division}`;
+    }
+
+    // Light the dot a layer hit is on
+    _highlightLayer(item) {
+        const row = this.pillsWrap.querySelector(`.rhythonika__layerrow[data-layer="${item.layer}"]`);
+        if (!row) return;
+        row.querySelectorAll(".rhythonika__polydot").forEach((dot, i) => {
+            dot.classList.toggle("rhythonika__polydot--active", i === item.index);
+        });
+    }
+
+    _applyPillState(pill, idx, state) {
+        const info = this.transport.slotStates[state] || this.transport.slotStates[0];
+        pill.classList.toggle("rhythonika__pill--accent", info.label === "accent");
+        pill.classList.toggle("rhythonika__pill--ghost", info.label === "ghost");
+        pill.classList.toggle("rhythonika__pill--rest", info.label === "rest");
+        pill.setAttribute("aria-label", `slot ${idx+1}: ${info.label}`);
+    }
+
+    // ---------- Step editing ----------
+    _cycleSlot(idx, dir = 1) {
+        const state = this.transport.cycleSlot(idx, dir);
+        if (state === null) return;
+
+        // Update in place so the focused pill keeps focus
+        const pill = this.pillsWrap.querySelector(`.rhythonika__pill[data-slot="${idx}"]`);
+        if (pill) this._applyPillState(pill, idx, state);
+    }
+
+    // Show an evolving pattern's current mutation without touching the written pattern
+    _showEvolved(item) {
+        if (item.key !== this.transport.patternKey) return;
+        this.pillsWrap.querySelectorAll(".rhythonika__pill").forEach((pill, i) => this._applyPillState(pill, i, item.accents[i]));
+    }
+
+    _highlightPill(stepIdx) {
+        const pills = this.pillsWrap.querySelectorAll(".rhythonika__pill");
+        pills.forEach((el, i) => el.classList.toggle("rhythonika__pill--active", i === (stepIdx % pills.length)));
+    }
+
+    // Light the dot each lane is currently on for the given poly tick
+    _highlightPoly(pat, tick) {
+        const rows = this.pillsWrap.querySelectorAll(".rhythonika__polyrow");
+        const ticks = this.transport.polyTicks(pat);
+        pat.lanes.forEach((lane, l) => {
+            if (!rows[l]) return;
+            const pos = this.transport.polyLaneStep(pat, lane, tick % ticks, ticks);
+            rows[l].querySelectorAll(".rhythonika__polydot").forEach((dot, i) => {
+                dot.classList.toggle("rhythonika__polydot--active", i === pos.index);
+            });
+        });
+    }
+
+    // ---------- Audio scheduling ----------
+    // Creates the audio context, engine and kit on first use (needs a user gesture)
+    async _initAudio() {
+        // Load Soundonika if needed
+        if (!window.Soundonika) {
+            await this._loadSoundonika();
+        }
+
+        // Initialize audio context and engine if needed
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+            // Create engine with local sample path
+            this.audioEngine = new window.Soundonika.Engine(this.audioContext, {
+                sampleBasePath: this.samplePath
+            });
+
+            // Check if local samples are available
+            const hasLocalSamples = await this._checkLocalSamples();
+
+            if (!hasLocalSamples) {
+                // Force click mode if no local samples
+                this.selectSoundMode.value = 'clicks';
+                this.audioEngine.setSoundMode('clicks');
+            }
+
+            this._updateStatus("Initializing audio engine...");
+
+            try {
+                await this.audioEngine.init();
+                this._initAudioUI();
             } catch (error) {
-                console.error('Failed to schedule polyrhythm sound:', error);
+                console.warn('Sample initialization failed, falling back to click sounds:', error);
+                this.selectSoundMode.value = 'clicks';
+                this.audioEngine.setSoundMode('clicks');
+                await this.audioEngine.init();
+                this._updateStatus("Using click sounds (sample load failed)");
             }
 
-            this.nextNoteTime += tickDur;
-            this.currentStep = (this.currentStep + 1) % lcmTicks;
+            // The browser may suspend or interrupt the context (another app takes the audio,
+            // iOS backgrounding); win it back while playing
+            this.audioContext.addEventListener("statechange", () => this._onAudioState());
+
+            // Mapped samples load per voice; one that is missing or undecodable clicks on its own
+            this.kit.setContext(this.audioContext, this.audioEngine);
+            this.kit.setVolume(parseFloat(this.inputVolume.value));
+            this.kit.preload(Object.values(this.transport.soundTypes)).then(() => this._renderSoundPanel());
         }
     }
 
-    _lcm(a, b) {
-        const gcd = (x, y) => (y === 0 ? x : gcd(y, x % y));
-        return Math.abs(a * b) / gcd(a, b);
+    async start() {
+        // A routine that just ended may still be finishing its last bar on screen
+        if (this._endTimer) this.stop();
+
+        try {
+            await this._initAudio();
+            if (this.audioContext.state !== "running") await this.audioContext.resume();
+
+            this.root.classList.add("rhythonika--playing");
+            this.btnStartStop.textContent = "Stop";
+            this.visualQueue = [];
+            this.displayStep = 0;
+            this.transport.setClock(this.audioContext);
+            this.transport.setSink(this.kit);
+            this.transport.start();
+            if (this.playAlong.enabled) this._startSession();
+            this._renderVisualReadout();
+            this._renderTimingStatus();
+
+            // Visual metering (requestAnimationFrame loop)
+            const raf = () => {
+                if (!this.transport.isPlaying && !this._endTimer) return;
+                // Show what is being heard, not what has been queued ahead
+                const now = this.audioContext.currentTime - this._visualDelay();
+                while (this.visualQueue.length && this.visualQueue[0].time <= now) {
+                    const item = this.visualQueue.shift();
+                    if (item.kind === "bar") {
+                        this._showSection(item);
+                        continue;
+                    }
+                    if (item.kind === "layer") {
+                        this._highlightLayer(item);
+                        continue;
+                    }
+                    if (item.kind === "evolve") {
+                        this._showEvolved(item);
+                        continue;
+                    }
+                    if (item.kind === "beat") {
+                        this.ringBeat.textContent = String(item.beat + 1);
+                        if (this.routineView) {
+                            this.routineBeat = item.beat + 1;
+                            this._renderRoutineReadout();
+                        }
+                        continue;
+                    }
+                    this.root.classList.toggle("rhythonika--silent", item.silent);
+                    this.displayStep = item.step;
+                    this._pulse(item);
+                }
+                const pat = this.transport.getPattern();
+                if (pat && pat.kind === "grid") this._highlightPill(this.displayStep);
+                if (pat && pat.kind === "poly") this._highlightPoly(pat, this.displayStep);
+                this._rafId = requestAnimationFrame(raf);
+            };
+            this._rafId = requestAnimationFrame(raf);
+
+        } catch (error) {
+            console.error('Failed to start Rhythonika:', error);
+            this._updateStatus("Failed to start - check console");
+            return;
+        }
+    }
+
+    stop() {
+        this.transport.stop();
+        clearTimeout(this._endTimer);
+        this._endTimer = null;
+        this.root.classList.remove("rhythonika--playing", "rhythonika--silent");
+        this.btnStartStop.textContent = "Start";
+        if (this._rafId) cancelAnimationFrame(this._rafId);
+        if (this.calibration) this._cancelCalibration();
+        if (this.grading) this._endSession();
+        this.ringBeat.textContent = "";
+        this.routineView = null;
+        this._renderPills(); // an evolved pattern goes back to how it was written
+        this._renderRoutineSections();
+        this._renderRoutineReadout();
+        this._renderTrainerReadout();
+
+        if (this.audioEngine) {
+            this._updateStatus(this.audioEngine.getSoundMode() === 'samples' ? "Ready with samples" : "Ready with clicks");
+        } else {
+            this._updateStatus("Ready");
+        }
+    }
+
+    // Transport events drive the parts of the view that follow playback
+    _bindTransport() {
+        // Every scheduled step and beat is queued with its audio-clock time; the rAF loop
+        // shows each one once it is heard (see _visualDelay)
+        this.transport.on("step", (step) => {
+            // rAF pauses in background tabs; don't let the visual queue grow meanwhile
+            const now = this.audioContext.currentTime;
+            while (this.visualQueue.length && this.visualQueue[0].time < now - 1) this.visualQueue.shift();
+            const level = step.hits.reduce((max, hit) => Math.max(max, hit.velocity), 0);
+            this.visualQueue.push({ kind: "step", time: step.time, step: step.step, silent: step.silent, level });
+            step.hits.forEach((hit) => {
+                if (hit.layer !== undefined) this.visualQueue.push({ kind: "layer", time: hit.time, layer: hit.layer, index: hit.index });
+            });
+
+            if (this.grading && level) this.grader.addNote(step.time, step.step);
+            if (this.calibration && level) {
+                this.calibration.notes.push(step.time);
+                if (this.calibration.notes.length > 64) this.calibration.notes.shift();
+            }
+        });
+        this.transport.on("evolve", (evolved) => {
+            this.visualQueue.push(Object.assign({ kind: "evolve" }, evolved));
+        });
+        this.transport.on("beat", (beat) => {
+            this.visualQueue.push({ kind: "beat", time: beat.time, beat: beat.beat });
+        });
+
+        // Routine bars update the section readout once heard
+        this.transport.on("bar", (bar) => {
+            if (bar.section) this.visualQueue.push({ kind: "bar", time: bar.time, section: bar.section, bpm: bar.bpm });
+        });
+
+        // A routine that runs out stops the transport itself; stop the view once its last bar is heard
+        this.transport.on("stop", ({ time, ended }) => {
+            if (!ended) return;
+            const wait = Math.max(0, time + this._visualDelay() - this.audioContext.currentTime);
+            this._endTimer = setTimeout(() => this.stop(), wait * 1000);
+        });
+
+        // Scheduler health in the status line, once a bar
+        this.transport.on("bar", () => this._renderTimingStatus());
+
+        // Mirror trainer tempo changes to the UI; the stored BPM stays the user's own
+        this.transport.on("bar", () => {
+            if (!this.transport.trainer.enabled) return;
+            this.inputBpm.value = Math.round(this.transport.bpm);
+            this._renderTrainerReadout();
+        });
+    }
+
+    // ---------- Scheduler clock & audio lifecycle ----------
+    // "Playing • worker clock • jitter 1.2 ms", plus anything that went wrong
+    _renderTimingStatus() {
+        if (!this.transport.isPlaying || (this.audioContext && this.audioContext.state !== "running")) return;
+        const t = this.transport.getTimingStats();
+        const parts = ["Playing", `${t.ticker} clock`];
+        if (t.ticks > 1) parts.push(`jitter ${t.jitterMs.toFixed(1)} ms`);
+        if (t.lateTicks) parts.push(`${t.lateTicks} late tick${t.lateTicks === 1 ? "" : "s"}`);
+        if (t.skipped) parts.push(`${t.skipped} overdue note${t.skipped === 1 ? "" : "s"} skipped`);
+        if (t.resyncs) parts.push(`${t.skippedSeconds.toFixed(1)} s skipped after ${t.resyncs} stall${t.resyncs === 1 ? "" : "s"}`);
+        this._updateStatus(parts.join(" • "));
+    }
+
+    _onAudioState() {
+        if (!this.transport.isPlaying) return;
+        const state = this.audioContext.state;
+        if (state === "running") {
+            this._renderTimingStatus();
+        } else if (state === "closed") {
+            this.stop();
+        } else {
+            // "suspended" or Safari's "interrupted": the clock stands still, so nothing is lost
+            this._updateStatus("Audio paused by the browser, resuming…");
+            this._resumeAudio();
+        }
+    }
+
+    // Browsers only allow resume() after a user gesture; if refused, say so and wait for the next chance
+    _resumeAudio() {
+        this.audioContext.resume().catch((error) => {
+            console.warn("Rhythonika: could not resume audio:", error);
+            this._updateStatus("Audio paused: click Stop, then Start to resume");
+        });
     }
 
     // ---------- Cleanup ----------
@@ -482,6 +2800,10 @@ class Rhythonika {
         if (this._keyHandler) {
             window.removeEventListener("keydown", this._keyHandler);
         }
+        document.removeEventListener("visibilitychange", this._visibilityHandler);
+        if (Rhythonika._active === this) Rhythonika._active = null;
+        this.sync.close();
+        this.transport.destroy();
         this.stop();
         if (this.audioEngine) {
             // Soundonika doesn't have a destroy method, but we can clean up references
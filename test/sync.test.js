@@ -0,0 +1,97 @@
+// Web MIDI clock tests for the sync bus, on a mocked MIDIAccess: no browser, no devices.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const RhythonikaSync = require("../js/rhythonika-sync.js");
+const RhythonikaTransport = require("../js/rhythonika-transport.js");
+
+// A MIDIAccess with one output that records what is sent and one input the test plays into
+function fakeMidiAccess() {
+    const sent = [];
+    const listeners = new Set();
+    const input = {
+        addEventListener: (type, fn) => listeners.add(fn),
+        removeEventListener: (type, fn) => listeners.delete(fn),
+        play: (data, timeStamp) => listeners.forEach((fn) => fn({ data: Uint8Array.from(data), timeStamp }))
+    };
+    const stateListeners = new Set();
+    const access = {
+        inputs: new Map([["in-1", input]]),
+        outputs: new Map([["out-1", { send: (data, time) => sent.push({ data: Array.from(data), time }) }]]),
+        addEventListener: (type, fn) => stateListeners.add(fn),
+        removeEventListener: (type, fn) => stateListeners.delete(fn)
+    };
+    return { access, input, sent, listeners, stateListeners };
+}
+
+test("connectMidi asks for access and sends start, a bar of pulses and stop", async () => {
+    const { access, sent } = fakeMidiAccess();
+    const sync = new RhythonikaSync({ broadcast: false });
+    let requested = 0;
+    const midi = await sync.connectMidi({ output: true, requestMIDIAccess: async () => (requested++, access) });
+    assert.strictEqual(requested, 1);
+    assert.ok(midi.sending && !midi.receiving);
+
+    const at = performance.timeOrigin + 1000;
+    sync.publish({ type: "start", at, bpm: 120, timeSignature: { numerator: 3, denominator: 4 } });
+    sync.publish({ type: "bar", at, bar: 1, bpm: 120, timeSignature: { numerator: 3, denominator: 4 } });
+    sync.publish({ type: "stop", at: at + 1500 });
+    sync.close();
+
+    // 3 quarters × 24 PPQN, 60000 / 120 / 24 ms apart, stamped on the performance.now() clock
+    assert.deepStrictEqual(sent[0], { data: [0xFA], time: 1000 });
+    const pulses = sent.slice(1, -1);
+    assert.strictEqual(pulses.length, 72);
+    pulses.forEach((pulse, i) => {
+        assert.deepStrictEqual(pulse.data, [0xF8]);
+        assert.ok(Math.abs(pulse.time - (1000 + (i * 500) / 24)) < 1e-3, `pulse ${i} at ${pulse.time}`);
+    });
+    assert.deepStrictEqual(sent[sent.length - 1], { data: [0xFC], time: 2500 });
+});
+
+test("incoming MIDI clock becomes start, tempo and bars in the followed transport's meter", async () => {
+    const { access, input, listeners, stateListeners } = fakeMidiAccess();
+    const sync = new RhythonikaSync({ broadcast: false });
+    await sync.connectMidi({ input: true, access });
+    assert.strictEqual(listeners.size, 1);
+    assert.strictEqual(stateListeners.size, 1);
+
+    const transport = new RhythonikaTransport({ ticker: { start() {}, stop() {} }, timeSignature: { numerator: 3, denominator: 4 } });
+    const heard = [];
+    sync.follow(transport, {
+        start: () => heard.push(["start"]),
+        stop: () => heard.push(["stop"]),
+        tempo: (bpm) => heard.push(["tempo", bpm]),
+        meter: () => heard.push(["meter"])
+    });
+    const messages = [];
+    sync.subscribe((msg) => messages.push(msg));
+    const bars = () => messages.filter((msg) => msg.type === "bar");
+
+    // Two bars of 3/4 at 100 BPM, with pulses before the start to settle the tempo
+    const spacing = 60000 / 100 / 24;
+    let time = 0;
+    for (let i = 0; i < 24; i++) input.play([0xF8], (time += spacing));
+    input.play([0xFA], time);
+    const downbeat = time + spacing;
+    for (let i = 0; i < 144; i++) input.play([0xF8], (time += spacing));
+    input.play([0xFC], time);
+
+    // The transport never really started, so the follower has nothing to stop
+    assert.deepStrictEqual(heard, [["start"], ["tempo", 100]]);
+    assert.deepStrictEqual(messages.map((msg) => msg.type), ["start", "tempo", "bar", "bar", "stop"]);
+    assert.ok(messages.every((msg) => msg.source === "midi"));
+    const [first, second] = bars();
+    assert.deepStrictEqual([first.bar, second.bar], [1, 2]);
+    assert.ok(Math.abs(first.at - (performance.timeOrigin + downbeat)) < 1e-3);
+    assert.ok(Math.abs(second.at - first.at - 72 * spacing) < 1e-3);
+
+    // Continue restarts the count from a barline
+    input.play([0xFB], time);
+    input.play([0xF8], (time += spacing));
+    assert.deepStrictEqual(bars().map((bar) => bar.bar), [1, 2, 1]);
+
+    sync.close();
+    assert.strictEqual(listeners.size, 0);
+    assert.strictEqual(stateListeners.size, 0);
+});
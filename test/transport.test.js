@@ -0,0 +1,348 @@
+// Fake-clock tests for the headless transport: no audio, no DOM, no timers.
+// The clock only moves when advance() says so and every tick is driven by hand.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const RhythonikaTransport = require("../js/rhythonika-transport.js");
+
+// A transport on a clock that starts at 0, with a sink and event log that record everything
+function fakeTransport(opts = {}) {
+    const clock = { currentTime: 0 };
+    const sounds = [];
+    const events = { step: [], beat: [], bar: [], tempo: [] };
+    const transport = new RhythonikaTransport(Object.assign({
+        clock,
+        sink: { scheduleSound: (time, sound, velocity) => sounds.push({ time, sound, velocity }) },
+        ticker: { start() {}, stop() {} }
+    }, opts));
+    Object.keys(events).forEach((type) => transport.on(type, (e) => events[type].push(e)));
+
+    // Moves the clock in ticker-sized steps, ticking after each one
+    const advance = (seconds, stepMs = transport.lookahead) => {
+        const end = clock.currentTime + seconds;
+        while (clock.currentTime < end - 1e-9) {
+            clock.currentTime = Math.min(end, clock.currentTime + stepMs / 1000);
+            transport.tick();
+        }
+    };
+    return { transport, clock, sounds, events, advance };
+}
+
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-6, `${label}: ${actual} ≠ ${expected}`);
+
+test("basic 4/4 at 120 BPM puts a step on every quarter note, accent first", () => {
+    const { transport, sounds, events, advance } = fakeTransport({ bpm: 120 });
+    transport.start();
+    advance(4);
+
+    const t0 = transport.leadIn;
+    assert.ok(events.step.length >= 8);
+    events.step.slice(0, 8).forEach((step, i) => near(step.time, t0 + i * 0.5, `step ${i}`));
+    assert.deepStrictEqual(sounds.slice(0, 4).map((s) => s.sound), ["kick", "hihat_closed", "hihat_closed", "hihat_closed"]);
+    near(events.bar[1].time - events.bar[0].time, 2, "bar length");
+});
+
+test("only the lookahead window is scheduled ahead of the clock", () => {
+    const { transport, clock, events, advance } = fakeTransport({ bpm: 120 });
+    transport.start();
+    advance(1);
+    const last = events.step[events.step.length - 1];
+    assert.ok(last.time < clock.currentTime + transport.scheduleAheadTime);
+});
+
+test("the denominator sets the bar length: 7/8 at 120 lasts 1.75 s", () => {
+    const { transport, events, advance } = fakeTransport({ bpm: 120, timeSignature: "7/8" });
+    transport.start();
+    advance(4);
+    near(events.bar[1].time - events.bar[0].time, 1.75, "bar length");
+    assert.strictEqual(events.step.filter((s) => s.barStart).length, events.bar.length);
+});
+
+test("speed trainer tempo changes land on the barline", () => {
+    const { transport, events, advance } = fakeTransport({
+        trainer: { enabled: true, mode: "step", startBpm: 100, targetBpm: 140, stepBpm: 20, everyBars: 1 }
+    });
+    transport.start();
+    advance(8);
+
+    // 4 quarters at 100, then 4 at 120, then 140 from bar 3 on
+    const t0 = transport.leadIn;
+    near(events.bar[1].time, t0 + 2.4, "bar 2");
+    near(events.bar[2].time, t0 + 2.4 + 2, "bar 3");
+    assert.deepStrictEqual(events.bar.slice(0, 4).map((b) => b.bpm), [100, 120, 140, 140]);
+    assert.deepStrictEqual(events.tempo.map((e) => [e.bpm, e.source]), [[100, "trainer"], [120, "trainer"], [140, "trainer"]]);
+
+    // Within bar 2, steps are 0.5 s apart: no step straddles the change
+    const bar2 = events.step.filter((s) => s.time >= events.bar[1].time - 1e-9 && s.time < events.bar[2].time - 1e-9);
+    assert.strictEqual(bar2.length, 4);
+    bar2.forEach((step, i) => near(step.time, events.bar[1].time + i * 0.5, `bar 2 step ${i}`));
+});
+
+test("a polyrhythm steps only on the ticks where a lane plays", () => {
+    const { transport, events, sounds, advance } = fakeTransport({
+        bpm: 120,
+        patterns: {
+            wide: {
+                name: "16:15:13",
+                kind: "poly",
+                mode: "ratio",
+                lanes: [{ count: 16, voice: "polyA", level: 1 }, { count: 15, voice: "polyB", level: 1 }, { count: 13, voice: "polyC", level: 1 }]
+            }
+        },
+        pattern: "wide"
+    });
+    transport.start();
+    advance(2.5);
+
+    // One 2 s bar: 16 + 15 + 13 onsets, the downbeat shared by all three
+    const bar = events.step.filter((step) => step.time < transport.leadIn + 2 - 1e-9);
+    assert.strictEqual(bar.length, 42);
+    assert.ok(bar.every((step) => step.hits.length > 0));
+    [16, 15, 13].forEach((count, l) => {
+        const times = sounds.filter((s) => s.time < transport.leadIn + 2 - 1e-9 && s.sound === transport.soundTypes[`poly${"ABC"[l]}`]);
+        assert.strictEqual(times.length, count);
+        times.forEach((s, i) => near(s.time, transport.leadIn + (i * 2) / count, `lane ${l + 1} step ${i}`));
+    });
+    near(events.bar[1].time, transport.leadIn + 2, "next bar");
+});
+
+test("an edited slot on the basic grid survives a meter change", () => {
+    const transport = new RhythonikaTransport({ ticker: { start() {}, stop() {} } });
+    transport.setTimeSignature("3/4");
+    assert.deepStrictEqual(transport.getPattern().accents, [1, 0, 0]);
+    transport.cycleSlot(2);
+    transport.setTimeSignature("5/4");
+    assert.deepStrictEqual(transport.getPattern().accents, [1, 0, 2]);
+});
+
+test("a meter or pattern change mid-bar restarts the bar without counting a new one", () => {
+    const { transport, events, advance } = fakeTransport({
+        trainer: { enabled: true, mode: "step", startBpm: 100, targetBpm: 140, stepBpm: 20, everyBars: 1 }
+    });
+    transport.start();
+    advance(1);
+    transport.setTimeSignature("3/4");
+    transport.reprime();
+    advance(1);
+    transport.setPattern("layers");
+    transport.reprime();
+    advance(4);
+
+    // Bar 1 starts three times; the trainer moves on only at the real barline after that
+    assert.deepStrictEqual(events.bar.slice(0, 4).map((b) => [b.bar, b.bpm]), [[1, 100], [1, 100], [1, 100], [2, 120]]);
+    const restarted = events.bar[2].time;
+    near(events.bar[3].time - restarted, 3 * 0.6, "a whole 3/4 bar at 100");
+});
+
+test("a section jump made while stopped is not applied on the next start", () => {
+    const { transport, events, advance } = fakeTransport();
+    transport.setRoutine({ sections: transport.parseRoutine("A: 2 bars 4/4 @ 120, B: 2 bars 3/4 @ 90") });
+    transport.jumpToSection(1);
+    transport.start();
+    advance(3);
+    assert.deepStrictEqual(events.bar.slice(0, 2).map((b) => b.bpm), [120, 120]);
+});
+
+test("setBpm applies from the next step without repriming", () => {
+    const { transport, events, advance } = fakeTransport({ bpm: 120 });
+    transport.start();
+    advance(0.3);
+    const scheduled = events.step.length;
+    const lastTime = events.step[scheduled - 1].time;
+    transport.setBpm(60);
+    advance(2);
+    near(events.step[scheduled].time, lastTime + 0.5, "step already timed at 120");
+    near(events.step[scheduled + 1].time - events.step[scheduled].time, 1, "then 60 BPM");
+});
+
+test("collect() matches live playback for the same pattern", () => {
+    const { transport, events, advance } = fakeTransport({ bpm: 90, timeSignature: "3+3+2/8" });
+    const offline = transport.collect(2);
+    transport.start();
+    advance(5);
+    const live = events.step.flatMap((s) => s.hits).slice(0, offline.hits.length);
+    offline.hits.forEach((hit, i) => {
+        near(live[i].time - transport.leadIn, hit.time, `hit ${i}`);
+        assert.strictEqual(live[i].voice, hit.voice);
+    });
+});
+
+// Hit times of one layer in the first bar, in quarter notes from the downbeat
+function layerHits(timeSignature, division, bpm = 60) {
+    const { transport, events, advance } = fakeTransport({ bpm, timeSignature, pattern: "layers" });
+    transport.getPattern().layers.forEach((layer) => { layer.muted = layer.division !== division; });
+    transport.start();
+    advance(8);
+    const barLength = events.bar[1].time - events.bar[0].time;
+    return {
+        barLength,
+        quarters: events.step.flatMap((s) => s.hits)
+            .filter((hit) => hit.time < events.bar[1].time - 1e-9)
+            .map((hit) => Math.round((hit.time - events.bar[0].time) * 1000) / 1000)
+    };
+}
+
+test("layers in 4/4: the beat on every quarter, 8ths between, triplets in thirds", () => {
+    assert.deepStrictEqual(layerHits("4/4", 1).quarters, [0, 1, 2, 3]);
+    assert.deepStrictEqual(layerHits("4/4", 2).quarters, [0.5, 1.5, 2.5, 3.5]);
+    assert.deepStrictEqual(layerHits("4/4", 3).quarters.slice(0, 4), [0.333, 0.667, 1.333, 1.667]);
+});
+
+test("layers in 6/8 and 12/8 pulse on the dotted quarter and divide it", () => {
+    // 60 BPM: a quarter is 1 s, so times read as quarters
+    assert.deepStrictEqual(layerHits("6/8", 1).quarters, [0, 1.5]);
+    assert.deepStrictEqual(layerHits("6/8", 3).quarters, [0.5, 1, 2, 2.5]);   // the eighths
+    assert.deepStrictEqual(layerHits("6/8", 2).quarters, [0.75, 2.25]);       // dotted 8ths
+    const twelve = layerHits("12/8", 1);
+    assert.deepStrictEqual(twelve.quarters, [0, 1.5, 3, 4.5]);
+    near(twelve.barLength, 6, "12/8 bar");
+});
+
+test("layers in 2+2+3/8 follow the groups", () => {
+    const { quarters, barLength } = layerHits("2+2+3/8", 1);
+    assert.deepStrictEqual(quarters, [0, 1, 2]);
+    near(barLength, 3.5, "bar");
+    assert.deepStrictEqual(layerHits("2+2+3/8", 2).quarters, [0.5, 1.5, 2.75]);
+});
+
+test("random beat dropout silences whole beats, not single grid steps", () => {
+    const { transport, events, advance } = fakeTransport({
+        bpm: 120,
+        gap: { mode: "random", dropout: 0.5, dropoutUnit: "beat" },
+        patterns: { sixteenths: { name: "16ths", kind: "grid", slotsPerBar: 16, accents: Array(16).fill(0) } },
+        pattern: "sixteenths"
+    });
+    transport.start();
+    advance(16);
+
+    // Four 16th steps per beat: each group of four is all silent or all sounding
+    const steps = events.step.slice(0, 128);
+    const beats = [];
+    for (let i = 0; i < steps.length; i += 4) beats.push(steps.slice(i, i + 4).map((s) => s.silent));
+    beats.forEach((beat, i) => assert.ok(beat.every((silent) => silent === beat[0]), `beat ${i}: ${beat}`));
+    assert.ok(beats.some((beat) => beat[0]) && beats.some((beat) => !beat[0]), "some beats dropped, some kept");
+});
+
+test("random dropout is seeded: collect() gives the same hits every run", () => {
+    const make = (seed) => new RhythonikaTransport({
+        ticker: { start() {}, stop() {} },
+        gap: { mode: "random", dropout: 0.4, dropoutUnit: "beat" },
+        groove: { seed }
+    });
+    const times = (t) => t.collect(16).hits.map((hit) => hit.time.toFixed(6)).join();
+    assert.strictEqual(times(make(7)), times(make(7)));
+    assert.notStrictEqual(times(make(7)), times(make(8)));
+
+    const bars = new RhythonikaTransport({ ticker: { start() {}, stop() {} }, gap: { mode: "random", dropout: 0.5, dropoutUnit: "bar" } });
+    assert.strictEqual(times(bars), times(bars));
+});
+
+test("after a stall mid-bar the cursor picks up on the next beat, not with a burst", () => {
+    const { transport, clock, events, advance } = fakeTransport({
+        bpm: 120,
+        patterns: { sixteenths: { name: "16ths", kind: "grid", slotsPerBar: 16, accents: Array(16).fill(0) } },
+        pattern: "sixteenths"
+    });
+    transport.start();
+    advance(0.4);
+    const before = events.step.length;
+
+    clock.currentTime += 0.5;
+    transport.tick();
+    const now = clock.currentTime;
+    assert.ok(events.step.length - before <= 2, `${events.step.length - before} steps in one tick`);
+    advance(0.5);
+    const resumed = events.step.slice(before);
+    resumed.forEach((step) => assert.ok(step.time >= now - transport.lateTolerance, `step at ${step.time} is overdue`));
+    near(((resumed[0].time - transport.leadIn) / 0.5) % 1, 0, "first step after the stall is on a beat");
+    assert.strictEqual(events.bar.length, 1);
+    assert.strictEqual(transport.getTimingStats().resyncs, 1);
+});
+
+test("a stall of several bars skips them without advancing the trainer", () => {
+    const { transport, clock, events, advance } = fakeTransport({
+        trainer: { enabled: true, mode: "step", startBpm: 100, targetBpm: 140, stepBpm: 20, everyBars: 1 }
+    });
+    transport.start();
+    advance(1);
+    const steps = events.step.length;
+
+    clock.currentTime += 6;
+    transport.tick();
+    const now = clock.currentTime;
+    assert.ok(events.step.length - steps <= 1, "no burst of missed steps");
+    advance(3);
+
+    // The bar after the stall is bar 2, at the trainer's second tempo, on a barline still ahead
+    assert.deepStrictEqual(events.bar.slice(0, 2).map((b) => [b.bar, b.bpm]), [[1, 100], [2, 120]]);
+    assert.ok(events.bar[1].time >= now);
+    near((events.bar[1].time - transport.leadIn - 2.4) % 2.4, 0, "on a barline of the 100 BPM grid");
+    assert.ok(transport.getTimingStats().skippedSeconds > 6 - 2.4);
+});
+
+// The events of a Standard MIDI File as { track, tick, status, type?, data }, for checking exports
+function readMidi(bytes) {
+    const ascii = (at) => String.fromCharCode(...bytes.slice(at, at + 4));
+    const size = (at) => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+    assert.strictEqual(ascii(0), "MThd");
+    const tracks = (bytes[10] << 8) | bytes[11];
+    const ppq = (bytes[12] << 8) | bytes[13];
+
+    let at = 14;
+    const number = () => {
+        let n = 0;
+        let byte;
+        do {
+            byte = bytes[at++];
+            n = (n << 7) | (byte & 0x7F);
+        } while (byte & 0x80);
+        return n;
+    };
+
+    const events = [];
+    for (let track = 0; track < tracks; track++) {
+        assert.strictEqual(ascii(at), "MTrk");
+        const end = at + 8 + size(at + 4);
+        at += 8;
+        let tick = 0;
+        let running = 0;
+        while (at < end) {
+            tick += number();
+            const status = bytes[at] & 0x80 ? bytes[at++] : running;
+            if (status === 0xFF) {
+                const type = bytes[at++];
+                const length = number();
+                events.push({ track, tick, status, type, data: Array.from(bytes.slice(at, at + length)) });
+                at += length;
+            } else {
+                running = status;
+                const length = (status & 0xF0) === 0xC0 || (status & 0xF0) === 0xD0 ? 1 : 2;
+                events.push({ track, tick, status, data: Array.from(bytes.slice(at, at + length)) });
+                at += length;
+            }
+        }
+    }
+    return { ppq, events };
+}
+
+test("toMidi writes the meter and each trainer tempo change as meta events", () => {
+    const MidiWriter = require("midi-writer-js");
+    const transport = new RhythonikaTransport({
+        ticker: { start() {}, stop() {} },
+        timeSignature: { numerator: 6, denominator: 8 },
+        trainer: { enabled: true, mode: "step", startBpm: 100, targetBpm: 140, stepBpm: 20, everyBars: 1 }
+    });
+    const { ppq, events } = readMidi(transport.toMidi(MidiWriter, 4, () => 37));
+    const meta = (type) => events.filter((e) => e.status === 0xFF && e.type === type);
+
+    // 6/8: denominator as a power of two
+    assert.deepStrictEqual(meta(0x58).map((e) => [e.tick, ...e.data]), [[0, 6, 3, 24, 8]]);
+    // Microseconds per quarter, on the barlines of 3-quarter bars
+    const tempos = meta(0x51).map((e) => [e.tick, Math.round(60e6 / ((e.data[0] << 16) | (e.data[1] << 8) | e.data[2]))]);
+    assert.deepStrictEqual(tempos, [[0, 100], [3 * ppq, 120], [6 * ppq, 140]]);
+
+    const notes = events.filter((e) => e.status === 0x99 && e.data[1] > 0);
+    const hits = transport.collect(4).hits.map((hit) => Math.round(hit.quarters * ppq)).sort((a, b) => a - b);
+    assert.deepStrictEqual(notes.map((e) => e.tick), hits);
+    assert.ok(notes.every((e) => e.data[0] === 37), "notes on channel 10 at noteFor()");
+});